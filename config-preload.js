@@ -1,19 +1,43 @@
 const { contextBridge, ipcRenderer } = require('electron')
 
-// Minimal bridge for the server-URL config window.
+// Minimal bridge for the server manager window.
 // Exposes only what the config page needs — no Node.js access in the renderer.
+
+// Validate format here so a malformed URL never reaches the main process.
+const cleanUrl = url => {
+  if (typeof url !== 'string') return null
+  const trimmed = url.trim().slice(0, 2048)
+  try {
+    const p = new URL(trimmed)
+    if (!['http:', 'https:'].includes(p.protocol)) return null
+  } catch { return null }
+  return trimmed
+}
+const cleanName = name => (typeof name === 'string' ? name.trim().slice(0, 64) : '')
+
+let _serversChangedHandler = null
+
 contextBridge.exposeInMainWorld('configApi', {
-  getServerUrl: () => ipcRenderer.invoke('config-get-server-url-current'),
+  listServers: () => ipcRenderer.invoke('config-list-servers'),
   // invoke (not send) so the renderer can await acknowledgement before window.close().
-  // Validate format here so a malformed URL never reaches the main process.
-  setServerUrl: url => {
-    if (typeof url !== 'string') return Promise.resolve(false)
-    const trimmed = url.trim().slice(0, 2048)
-    try {
-      const p = new URL(trimmed)
-      if (!['http:', 'https:'].includes(p.protocol)) return Promise.resolve(false)
-    } catch { return Promise.resolve(false) }
-    return ipcRenderer.invoke('config-set-server-url', trimmed)
+  addServer: (name, url) => {
+    const u = cleanUrl(url)
+    if (!u) return Promise.resolve(false)
+    return ipcRenderer.invoke('config-add-server', { name: cleanName(name), url: u })
+  },
+  updateServer: (id, name, url) => {
+    const u = cleanUrl(url)
+    if (!u || typeof id !== 'string') return Promise.resolve(false)
+    return ipcRenderer.invoke('config-update-server', { id, name: cleanName(name), url: u })
+  },
+  removeServer: id => ipcRenderer.invoke('config-remove-server', id),
+  moveServer: (id, delta) => ipcRenderer.invoke('config-move-server', { id, delta }),
+  switchServer: id => ipcRenderer.invoke('config-switch-server', id),
+  // Fired when the list changes elsewhere (e.g. switching from the tray)
+  onServersChanged: cb => {
+    if (_serversChangedHandler) ipcRenderer.removeListener('config-servers-changed', _serversChangedHandler)
+    _serversChangedHandler = (_e, servers) => cb(servers)
+    ipcRenderer.on('config-servers-changed', _serversChangedHandler)
   },
   cancelFirstRun: () => ipcRenderer.send('config-cancel-first-run'),
 })
@@ -0,0 +1,26 @@
+const { contextBridge, ipcRenderer } = require('electron')
+
+// Minimal bridge for the Keybinds window.
+// Exposes only the desktop keybind IPC calls — no Node.js access in the renderer.
+
+const ACTIONS = ['toggle-mute', 'toggle-deafen', 'toggle-window', 'ptt', 'screenshot']
+const cleanAction = action => (ACTIONS.includes(action) ? action : null)
+
+let _changedHandler = null
+
+contextBridge.exposeInMainWorld('keybindApi', {
+  list: () => ipcRenderer.invoke('keybind-settings-list'),
+  // Resolves to the next key/mouse press (with modifiers), or null on timeout/cancel
+  capture: options => ipcRenderer.invoke('keybind-settings-capture', { mouse: options?.mouse === true }),
+  cancelCapture: () => ipcRenderer.invoke('keybind-settings-capture-cancel'),
+  // Resolves to { success } or { success: false, error: 'conflict', conflicts }
+  set: (action, trigger, force) => (cleanAction(action) && trigger && typeof trigger === 'object'
+    ? ipcRenderer.invoke('keybind-settings-set', { action, trigger, force: force === true })
+    : Promise.resolve({ success: false, error: 'invalid' })),
+  clear: action => (cleanAction(action) ? ipcRenderer.invoke('keybind-settings-clear', action) : Promise.resolve(false)),
+  onChanged: cb => {
+    if (_changedHandler) ipcRenderer.removeListener('keybind-settings-changed', _changedHandler)
+    _changedHandler = (_e, list) => cb(list)
+    ipcRenderer.on('keybind-settings-changed', _changedHandler)
+  },
+})
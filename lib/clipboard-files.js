@@ -0,0 +1,21 @@
+// Parsing the file lists other apps put on the clipboard when files are
+// copied. Kept free of Electron so it can be checked with plain node.
+const { fileURLToPath } = require('url')
+
+// text/uri-list, and GNOME/KDE file managers' "copy"/"cut" line followed by
+// file:// URIs
+function parseFileUriList(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.startsWith('file://'))
+    .map(line => { try { return fileURLToPath(line) } catch { return null } })
+    .filter(Boolean)
+}
+
+// macOS NSFilenamesPboardType: a plist array of path strings
+function parseFilenamesPlist(plist) {
+  return [...plist.matchAll(/<string>([^<]*)<\/string>/g)]
+    .map(m => m[1].replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>'))
+}
+
+module.exports = { parseFileUriList, parseFilenamesPlist }
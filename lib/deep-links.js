@@ -0,0 +1,32 @@
+// fluxer:// link parsing. Kept free of Electron so it can be checked with
+// plain node; main.js does the window and IPC side.
+
+const DEEP_LINK_PROTOCOL = 'fluxer'
+
+function findDeepLinkInArgv(argv) {
+  if (!Array.isArray(argv)) return null
+  const prefix = `${DEEP_LINK_PROTOCOL}://`
+  return argv.find(a => typeof a === 'string' && a.toLowerCase().startsWith(prefix)) ?? null
+}
+
+// Map a fluxer:// URL to the saved server it targets. A link may name its server
+// by host ("fluxer://chat.example.com/invite/abc"); anything else is for the
+// visible server ("fluxer://invite/abc"). The server part is stripped so the page
+// always receives the same link shape. Returns null for malformed links.
+function resolveDeepLink(raw, profiles, activeProfileId) {
+  if (typeof raw !== 'string' || raw.length > 2048) return null
+  let u
+  try { u = new URL(raw) } catch { return null }
+  if (u.protocol !== `${DEEP_LINK_PROTOCOL}:`) return null
+  const host = u.host.toLowerCase()
+  const profile = host && profiles.find(p => {
+    try { return new URL(p.url).host.toLowerCase() === host } catch { return false }
+  })
+  if (profile) {
+    const rest = u.pathname.replace(/^\/+/, '')
+    return { profileId: profile.id, url: `${DEEP_LINK_PROTOCOL}://${rest}${u.search}${u.hash}` }
+  }
+  return activeProfileId ? { profileId: activeProfileId, url: u.href } : null
+}
+
+module.exports = { DEEP_LINK_PROTOCOL, findDeepLinkInArgv, resolveDeepLink }
@@ -0,0 +1,23 @@
+// Options for listing desktop capture sources. Kept free of Electron so they
+// can be checked with plain node.
+
+// Pages pass { types, thumbnailSize, fetchWindowIcons }, or just the types
+// array as older pages do.
+function sanitizeSourceOptions(options) {
+  const VALID_TYPES = ['screen', 'window']
+  const opts = Array.isArray(options) ? { types: options } : (options && typeof options === 'object' ? options : {})
+  const types = Array.isArray(opts.types) ? opts.types.filter(t => VALID_TYPES.includes(t)) : []
+  const dim = (value, max, fallback) => {
+    const n = Math.trunc(Number(value))
+    return Number.isFinite(n) ? Math.min(max, Math.max(0, n)) : fallback
+  }
+  // 0×0 skips thumbnails entirely, which makes listing much faster
+  const size = opts.thumbnailSize && typeof opts.thumbnailSize === 'object' ? opts.thumbnailSize : {}
+  return {
+    types: types.length ? [...new Set(types)] : VALID_TYPES,
+    thumbnailSize: { width: dim(size.width, 1920, 320), height: dim(size.height, 1080, 180) },
+    fetchWindowIcons: opts.fetchWindowIcons === true,
+  }
+}
+
+module.exports = { sanitizeSourceOptions }
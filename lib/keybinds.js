@@ -0,0 +1,205 @@
+// Global keybind records: validating what a page asks for and telling when two
+// binds would fire on the same input. Kept free of Electron and uiohook so it
+// can be checked with plain node.
+//
+// A bind has exactly one trigger:
+//   keycode          — a single key (plus modifiers)
+//   keycodes         — a chord of 2–4 keys held together, e.g. Z+X
+//   sequence         — 2–4 steps pressed one after another within
+//                      sequenceTimeout ms, e.g. F13 then 1; the last key acts
+//                      as the held key (so a sequence can drive PTT)
+//   mouseButton      — 1–16
+//   wheel            — 'up' | 'down' | 'left' | 'right'
+// ignoreExtraModifiers lets the bind fire while other modifiers are held too.
+
+const MAX_CHORD_KEYS = 4
+const isKeycode = v => Number.isInteger(v) && v >= 0 && v <= 0xFFFF
+
+function parseModifiers(src) {
+  return {
+    ctrl: Boolean(src?.ctrl),
+    alt: Boolean(src?.alt),
+    shift: Boolean(src?.shift),
+    meta: Boolean(src?.meta),
+  }
+}
+
+// Validate renderer-supplied options into a keybind record, or null
+function parseKeybindOptions(options) {
+  if (typeof options?.id !== 'string' || !options.id || options.id.length > 128) return null
+  const kb = {
+    id: options.id,
+    keycode: null,
+    keycodes: null,
+    steps: null,
+    sequenceTimeout: 1000,
+    mouseButton: undefined,
+    wheel: undefined,
+    modifiers: parseModifiers(options),
+    ignoreExtraModifiers: options.ignoreExtraModifiers === true,
+    // ptt: true hands hold/toggle/release-delay handling to the main process
+    ptt: options.ptt === true,
+    down: false,
+    pttActive: false,
+    releaseTimer: null,
+    seqIndex: 0,
+    seqTimer: null,
+    activeKeycode: null,
+  }
+  if (Array.isArray(options.keycodes)) {
+    const keycodes = [...new Set(options.keycodes)]
+    if (keycodes.length < 2 || keycodes.length > MAX_CHORD_KEYS || !keycodes.every(isKeycode)) return null
+    kb.keycodes = keycodes.sort((a, b) => a - b)
+  } else if (Array.isArray(options.sequence)) {
+    if (options.sequence.length < 2 || options.sequence.length > MAX_CHORD_KEYS) return null
+    // Steps are keycodes or { keycode, ctrl, alt, shift, meta }
+    const steps = options.sequence.map(step => (isKeycode(step)
+      ? { keycode: step, modifiers: parseModifiers(null) }
+      : isKeycode(step?.keycode) ? { keycode: step.keycode, modifiers: parseModifiers(step) } : null))
+    if (steps.includes(null)) return null
+    kb.steps = steps
+    const timeout = Math.trunc(Number(options.sequenceTimeout))
+    if (Number.isFinite(timeout)) kb.sequenceTimeout = Math.min(5000, Math.max(200, timeout))
+  } else if (isKeycode(options.keycode)) {
+    // Distinguish "not provided" (undefined) from "provided as 0" (valid on some platforms)
+    kb.keycode = options.keycode
+  }
+  // Gaming mice report side buttons well past 5 on X11
+  if (Number.isInteger(options.mouseButton) && options.mouseButton >= 1 && options.mouseButton <= 16) {
+    kb.mouseButton = options.mouseButton
+  }
+  if (['up', 'down', 'left', 'right'].includes(options.wheel)) kb.wheel = options.wheel
+  // Require at least one trigger to be explicitly provided
+  if (kb.keycode === null && !kb.keycodes && !kb.steps && kb.mouseButton === undefined && kb.wheel === undefined) {
+    return null
+  }
+  return kb
+}
+
+const modsEqual = (a, b) => a.ctrl === b.ctrl && a.alt === b.alt && a.shift === b.shift && a.meta === b.meta
+const modsSubset = (a, b) => (!a.ctrl || b.ctrl) && (!a.alt || b.alt) && (!a.shift || b.shift) && (!a.meta || b.meta)
+
+// Could one physical input fire both binds?
+function modifiersOverlap(a, aLoose, b, bLoose) {
+  if (aLoose && bLoose) return true
+  if (aLoose) return modsSubset(a, b)
+  if (bLoose) return modsSubset(b, a)
+  return modsEqual(a, b)
+}
+
+function keybindsOverlap(a, b) {
+  const mods = (ma, mb) => modifiersOverlap(ma, a.ignoreExtraModifiers, mb, b.ignoreExtraModifiers)
+  if (a.steps || b.steps) {
+    return Boolean(a.steps && b.steps) && a.steps.length === b.steps.length &&
+      a.steps.every((step, i) => step.keycode === b.steps[i].keycode && mods(step.modifiers, b.steps[i].modifiers))
+  }
+  if (!mods(a.modifiers, b.modifiers)) return false
+  if (a.keycode !== null && a.keycode === b.keycode) return true
+  if (a.keycodes && b.keycodes && a.keycodes.join() === b.keycodes.join()) return true
+  if (a.mouseButton !== undefined && a.mouseButton === b.mouseButton) return true
+  return a.wheel !== undefined && a.wheel === b.wheel
+}
+
+// Turn a parsed bind back into the options it was made from, for config.json
+function keybindToOptions(kb) {
+  return {
+    ...(kb.keycode !== null ? { keycode: kb.keycode } : {}),
+    ...(kb.keycodes ? { keycodes: [...kb.keycodes] } : {}),
+    ...(kb.steps ? {
+      sequence: kb.steps.map(step => ({ keycode: step.keycode, ...step.modifiers })),
+      sequenceTimeout: kb.sequenceTimeout,
+    } : {}),
+    ...(kb.mouseButton !== undefined ? { mouseButton: kb.mouseButton } : {}),
+    ...(kb.wheel !== undefined ? { wheel: kb.wheel } : {}),
+    ...kb.modifiers,
+    ...(kb.ignoreExtraModifiers ? { ignoreExtraModifiers: true } : {}),
+  }
+}
+
+function formatModifiers(mods) {
+  return [mods.ctrl && 'Ctrl', mods.alt && 'Alt', mods.shift && 'Shift', mods.meta && 'Meta'].filter(Boolean)
+}
+
+// Human-readable binding, e.g. "Ctrl + F13" or "F13, then 1". keyName maps a
+// keycode to its name.
+function formatKeybind(kb, keyName) {
+  if (kb.steps) {
+    return kb.steps.map(step => [...formatModifiers(step.modifiers), keyName(step.keycode)].join(' + ')).join(', then ')
+  }
+  let trigger
+  if (kb.keycodes) trigger = kb.keycodes.map(keyName).join(' + ')
+  else if (kb.keycode !== null) trigger = keyName(kb.keycode)
+  else if (kb.mouseButton !== undefined) trigger = `Mouse ${kb.mouseButton}`
+  else trigger = `Wheel ${kb.wheel[0].toUpperCase()}${kb.wheel.slice(1)}`
+  return [...formatModifiers(kb.modifiers), trigger].join(' + ')
+}
+
+const ACCELERATOR_MODIFIERS = {
+  command: 'meta', cmd: 'meta', super: 'meta', meta: 'meta',
+  control: 'ctrl', ctrl: 'ctrl',
+  commandorcontrol: 'cmdorctrl', cmdorctrl: 'cmdorctrl',
+  alt: 'alt', option: 'alt', altgr: 'alt',
+  shift: 'shift',
+}
+// Accelerator key names that differ from the uiohook names in main.js getKeycodeMap()
+const ACCELERATOR_KEYS = {
+  '`': 'Backquote', '-': 'Minus', '=': 'Equal', '[': 'BracketLeft', ']': 'BracketRight',
+  '\\': 'Backslash', ';': 'Semicolon', "'": 'Quote', ',': 'Comma', '.': 'Period', '/': 'Slash',
+  return: 'Enter', enter: 'Enter', esc: 'Escape', escape: 'Escape', space: 'Space', tab: 'Tab',
+  backspace: 'Backspace', delete: 'Delete', insert: 'Insert', home: 'Home', end: 'End',
+  pageup: 'PageUp', pagedown: 'PageDown', up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight',
+  capslock: 'CapsLock', numlock: 'NumLock', scrolllock: 'ScrollLock', printscreen: 'PrintScreen',
+  numadd: 'NumpadAdd', numsub: 'NumpadSubtract', nummult: 'NumpadMultiply', numdiv: 'NumpadDivide', numdec: 'NumpadDecimal',
+  volumeup: 'AudioVolumeUp', volumedown: 'AudioVolumeDown', volumemute: 'AudioVolumeMute',
+  medianexttrack: 'MediaTrackNext', mediaprevioustrack: 'MediaTrackPrevious',
+  mediastop: 'MediaStop', mediaplaypause: 'MediaPlayPause',
+}
+
+// "CmdOrCtrl+shift+m" → { combo: 'Ctrl+Shift+M', modifiers, keyName }. combo is
+// the same for every spelling of one key combination on this platform.
+function parseAccelerator(accelerator, platform = process.platform) {
+  const parts = accelerator.split('+')
+  // "Ctrl++" means Ctrl and the Plus key
+  if (accelerator.endsWith('++')) parts.splice(-2, 2, 'Plus')
+  const modifiers = parseModifiers(null)
+  let keyName = null
+  for (const part of parts) {
+    const token = part.trim().toLowerCase()
+    const mod = ACCELERATOR_MODIFIERS[token]
+    if (mod) {
+      modifiers[mod === 'cmdorctrl' ? (platform === 'darwin' ? 'meta' : 'ctrl') : mod] = true
+      continue
+    }
+    if (keyName || !token) return null
+    if (/^[a-z0-9]$/.test(token)) keyName = token.toUpperCase()
+    else if (/^f([1-9]|1\d|2[0-4])$/.test(token)) keyName = token.toUpperCase()
+    else if (/^num[0-9]$/.test(token)) keyName = `Numpad${token.slice(3)}`
+    // Plus is Shift+Equal on most layouts
+    else if (token === 'plus') { keyName = 'Equal'; modifiers.shift = true }
+    else keyName = ACCELERATOR_KEYS[token] ?? null
+    if (!keyName) return null
+  }
+  if (!keyName) return null
+  return { combo: [...formatModifiers(modifiers), keyName].join('+'), modifiers, keyName }
+}
+
+// The uiohook bind an accelerator corresponds to, or null when the key has no
+// uiohook keycode. keycodeMap maps keycodes to names and is null when uiohook
+// is not installed.
+function acceleratorToKeybind(parsed, keycodeMap) {
+  if (!keycodeMap) return null
+  const entry = Object.entries(keycodeMap).find(([, name]) => name === parsed.keyName)
+  if (!entry) return null
+  return { keycode: Number(entry[0]), keycodes: null, steps: null, modifiers: parsed.modifiers, ignoreExtraModifiers: false }
+}
+
+module.exports = {
+  parseKeybindOptions,
+  modsEqual,
+  modsSubset,
+  keybindsOverlap,
+  keybindToOptions,
+  formatKeybind,
+  parseAccelerator,
+  acceleratorToKeybind,
+}
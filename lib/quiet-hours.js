@@ -0,0 +1,40 @@
+// Do Not Disturb quiet-hour schedules. Kept free of Electron so they can be
+// checked with plain node.
+
+const parseClockTime = t => {
+  const m = typeof t === 'string' ? /^([01]\d|2[0-3]):([0-5]\d)$/.exec(t) : null
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null
+}
+
+// Quiet-hour ranges look like { days: [1, 2, 3, 4, 5], start: '22:00', end: '07:00' }.
+// days are 0 (Sunday) – 6 and name the day a range starts on, so overnight
+// ranges spill into the following morning. start === end means the whole day.
+function sanitizeQuietHourRanges(ranges) {
+  if (!Array.isArray(ranges)) return []
+  return ranges.slice(0, 14).flatMap(r => {
+    if (!r || typeof r !== 'object') return []
+    const days = Array.isArray(r.days)
+      ? [...new Set(r.days.filter(d => Number.isInteger(d) && d >= 0 && d <= 6))].sort()
+      : []
+    if (!days.length || parseClockTime(r.start) === null || parseClockTime(r.end) === null) return []
+    return [{ days, start: r.start, end: r.end }]
+  })
+}
+
+// quietHours is the sanitized { enabled, ranges } from the DND settings
+function isInQuietHours({ enabled, ranges }, now = new Date()) {
+  if (!enabled) return false
+  const minute = now.getHours() * 60 + now.getMinutes()
+  const day = now.getDay()
+  const yesterday = (day + 6) % 7
+  return ranges.some(r => {
+    const start = parseClockTime(r.start)
+    const end = parseClockTime(r.end)
+    if (start === end) return r.days.includes(day)
+    if (start < end) return r.days.includes(day) && minute >= start && minute < end
+    // Overnight range: the evening part belongs to today, the morning part to yesterday's entry
+    return (r.days.includes(day) && minute >= start) || (r.days.includes(yesterday) && minute < end)
+  })
+}
+
+module.exports = { sanitizeQuietHourRanges, isInQuietHours }
@@ -0,0 +1,41 @@
+// Shared screen regions ("Part of …" sources). Kept free of Electron so the
+// geometry can be checked with plain node; displays are plain
+// { bounds, scaleFactor } objects here.
+
+// One virtual region source per screen, listed after the real sources
+function withRegionSources(sources) {
+  const regions = sources
+    .filter(s => s.id.startsWith('screen:'))
+    .map(s => ({
+      id: `region:${s.id}`,
+      name: `Part of ${s.name}`,
+      thumbnail: s.thumbnail,
+      display_id: s.display_id ?? '',
+      appIcon: null,
+    }))
+  return [...sources, ...regions]
+}
+
+// Rectangle in DIPs relative to the display's top-left corner
+function sanitizeRegionRect(rect, display) {
+  if (!rect || typeof rect !== 'object') return null
+  const { width: dw, height: dh } = display.bounds
+  const x = Math.max(0, Math.min(dw, Math.round(Number(rect.x))))
+  const y = Math.max(0, Math.min(dh, Math.round(Number(rect.y))))
+  const width = Math.min(dw - x, Math.round(Number(rect.width)))
+  const height = Math.min(dh - y, Math.round(Number(rect.height)))
+  if (![x, y, width, height].every(Number.isFinite) || width < 16 || height < 16) return null
+  return { x, y, width, height }
+}
+
+// Stream size for a region: physical pixels, shrunk to fit the configured
+// maximum (screenShare.region), kept even for video encoders
+function getRegionOutputSize(rect, display, { maxWidth, maxHeight }) {
+  const width = rect.width * display.scaleFactor
+  const height = rect.height * display.scaleFactor
+  const scale = Math.min(1, maxWidth / width, maxHeight / height)
+  const even = n => Math.max(2, Math.round(n * scale / 2) * 2)
+  return { width: even(width), height: even(height) }
+}
+
+module.exports = { withRegionSources, sanitizeRegionRect, getRegionOutputSize }
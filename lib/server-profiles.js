@@ -0,0 +1,52 @@
+// Validation for saved server profiles. Kept free of Electron so it can be
+// checked with plain node.
+
+function isValidServerUrl(url) {
+  try {
+    const p = new URL(url)
+    return ['http:', 'https:'].includes(p.protocol)
+  } catch { return false }
+}
+
+// Extra hosts (e.g. "media.example.com") that serve this server's attachments.
+// Only ever set by hand in config.json — a page can't widen what the app will
+// fetch with its login. Anything that isn't a bare host[:port] is dropped.
+function sanitizeAttachmentHosts(hosts) {
+  if (!Array.isArray(hosts)) return []
+  const clean = []
+  for (const host of hosts.slice(0, 8)) {
+    if (typeof host !== 'string' || !host || host.length > 253) continue
+    try {
+      const parsed = new URL(`https://${host}`)
+      if (parsed.host === host.toLowerCase() && !clean.includes(parsed.host)) clean.push(parsed.host)
+    } catch {}
+  }
+  return clean
+}
+
+// Strip control characters and cap length; fall back to the host so a profile
+// is never shown with an empty label in the tray.
+function sanitizeProfileName(name, url) {
+  const clean = String(name ?? '').replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, 64)
+  if (clean) return clean
+  try { return new URL(url).host } catch { return 'Server' }
+}
+
+// The server's own host, or one of the attachment hosts configured for it.
+// main.js fetches clipboard images with the user's cookies and without CORS,
+// so this must not let a page point it at other sites, localhost or the intranet.
+function isServerContentUrl(profile, url) {
+  let u, server
+  try { u = new URL(url); server = new URL(profile.url) } catch { return false }
+  if (!['http:', 'https:'].includes(u.protocol) || u.username || u.password) return false
+  if (u.host === server.host) return u.protocol === server.protocol || u.protocol === 'https:'
+  // Configured attachment hosts are https only
+  return u.protocol === 'https:' && (profile.attachmentHosts ?? []).includes(u.host)
+}
+
+module.exports = {
+  isValidServerUrl,
+  sanitizeAttachmentHosts,
+  sanitizeProfileName,
+  isServerContentUrl,
+}
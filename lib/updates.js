@@ -0,0 +1,108 @@
+// Release-feed parsing and verification helpers for the auto-updater. Kept
+// free of Electron so they can be checked with plain node; main.js does the
+// fetching, downloading and installing.
+const path = require('path')
+const crypto = require('crypto')
+const { isValidServerUrl } = require('./server-profiles')
+
+function parseVersion(v) {
+  const m = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?/.exec(String(v ?? '').trim())
+  if (!m) return null
+  return { nums: [Number(m[1]), Number(m[2]), Number(m[3])], pre: m[4] ? m[4].split('.') : [] }
+}
+
+// Semver ordering: numeric core first, then a release outranks its prereleases.
+function compareVersions(a, b) {
+  const pa = parseVersion(a)
+  const pb = parseVersion(b)
+  if (!pa || !pb) return 0
+  for (let i = 0; i < 3; i++) {
+    if (pa.nums[i] !== pb.nums[i]) return pa.nums[i] < pb.nums[i] ? -1 : 1
+  }
+  if (!pa.pre.length || !pb.pre.length) return (pa.pre.length ? 0 : 1) - (pb.pre.length ? 0 : 1)
+  for (let i = 0; i < Math.max(pa.pre.length, pb.pre.length); i++) {
+    const x = pa.pre[i]
+    const y = pb.pre[i]
+    if (x === undefined) return -1
+    if (y === undefined) return 1
+    if (x === y) continue
+    const xn = /^\d+$/.test(x)
+    const yn = /^\d+$/.test(y)
+    if (xn && yn) return Number(x) < Number(y) ? -1 : 1
+    if (xn !== yn) return xn ? -1 : 1
+    return x < y ? -1 : 1
+  }
+  return 0
+}
+
+function normalizeRelease(r, fromGitHub) {
+  if (!r || typeof r !== 'object' || r.draft) return null
+  const version = String((fromGitHub ? r.tag_name : r.version) ?? '').replace(/^v/, '')
+  if (!parseVersion(version)) return null
+  const assets = (Array.isArray(r.assets) ? r.assets : []).map(a => ({
+    name: path.basename(String(a?.name ?? '')),
+    url: String((fromGitHub ? a?.browser_download_url : a?.url) ?? ''),
+    sha256: typeof a?.sha256 === 'string' && /^[a-f0-9]{64}$/i.test(a.sha256) ? a.sha256.toLowerCase() : null,
+  })).filter(a => a.name && isValidServerUrl(a.url))
+  return {
+    version,
+    prerelease: Boolean(r.prerelease) || parseVersion(version).pre.length > 0,
+    notes: String((fromGitHub ? r.body : r.notes) ?? '').slice(0, 10_000),
+    assets,
+  }
+}
+
+// Pick the artifact this install can apply. AppImage replaces itself; NSIS
+// installs silently; .deb and .dmg need the OS installer, so they are opened
+// for the user instead of being applied on quit.
+function selectUpdateAsset(assets, {
+  platform = process.platform,
+  arch = process.arch,
+  appImage = process.env.APPIMAGE,
+} = {}) {
+  const byArch = list => list.find(a => a.name.includes(arch)) ?? list[0] ?? null
+  if (platform === 'win32') {
+    const asset = byArch(assets.filter(a => /\.exe$/i.test(a.name)))
+    return asset && { ...asset, kind: 'nsis' }
+  }
+  if (platform === 'darwin') {
+    const asset = byArch(assets.filter(a => /\.dmg$/i.test(a.name)))
+    return asset && { ...asset, kind: 'manual' }
+  }
+  if (appImage) {
+    const asset = byArch(assets.filter(a => /\.AppImage$/i.test(a.name)))
+    return asset && { ...asset, kind: 'appimage' }
+  }
+  const asset = assets.find(a => /_amd64\.deb$/i.test(a.name) && arch === 'x64') ??
+    assets.find(a => /\.deb$/i.test(a.name))
+  return asset && { ...asset, kind: 'manual' }
+}
+
+// Does sigRaw sign the SHA256SUMS contents with publicKey (PEM)?
+function verifyChecksumSignature(sums, sigRaw, publicKey) {
+  // Accept either a raw signature or its base64 text form
+  const sigText = sigRaw.toString('utf8').trim()
+  const sig = /^[A-Za-z0-9+/=\s]+$/.test(sigText) ? Buffer.from(sigText, 'base64') : sigRaw
+  const key = crypto.createPublicKey(publicKey)
+  // Ed25519/Ed448 sign the message itself; RSA and ECDSA sign its SHA-256 digest
+  const algo = ['ed25519', 'ed448'].includes(key.asymmetricKeyType) ? null : 'sha256'
+  return crypto.verify(algo, sums, key, sig)
+}
+
+function parseChecksumFile(buf, fileName) {
+  for (const line of buf.toString('utf8').split(/\r?\n/)) {
+    // "<hex>  <name>" or "<hex> *<name>" (binary mode marker)
+    const m = /^([a-f0-9]{64})\s+\*?(.+)$/i.exec(line.trim())
+    if (m && path.basename(m[2].trim()) === fileName) return m[1].toLowerCase()
+  }
+  throw new Error(`No checksum listed for ${fileName}`)
+}
+
+module.exports = {
+  parseVersion,
+  compareVersions,
+  normalizeRelease,
+  selectUpdateAsset,
+  verifyChecksumSignature,
+  parseChecksumFile,
+}
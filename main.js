@@ -12,6 +12,10 @@ const {
   clipboard,
   Notification,
   dialog,
+  session,
+  WebContentsView,
+  net,
+  screen,
 } = require('electron')
 const path = require('path')
 const fs = require('fs')
@@ -19,8 +23,36 @@ const https = require('https')
 const http = require('http')
 const os = require('os')
 const crypto = require('crypto')
+const { spawn } = require('child_process')
+const {
+  isValidServerUrl,
+  sanitizeAttachmentHosts,
+  sanitizeProfileName,
+  isServerContentUrl,
+} = require('./lib/server-profiles')
+const { DEEP_LINK_PROTOCOL, findDeepLinkInArgv, resolveDeepLink } = require('./lib/deep-links')
+const {
+  compareVersions,
+  normalizeRelease,
+  selectUpdateAsset,
+  verifyChecksumSignature,
+  parseChecksumFile,
+} = require('./lib/updates')
+const { sanitizeQuietHourRanges, isInQuietHours } = require('./lib/quiet-hours')
+const {
+  parseKeybindOptions,
+  modsEqual,
+  modsSubset,
+  keybindsOverlap,
+  keybindToOptions,
+  formatKeybind,
+  parseAccelerator,
+  acceleratorToKeybind,
+} = require('./lib/keybinds')
+const { withRegionSources, sanitizeRegionRect, getRegionOutputSize } = require('./lib/screen-regions')
+const { sanitizeSourceOptions } = require('./lib/desktop-sources')
+const { parseFileUriList, parseFilenamesPlist } = require('./lib/clipboard-files')
 
-const APP_URL = 'https://chat.shadowflee.com'
 const APP_NAME = 'Fluxer'
 const ICON_PATH = path.join(__dirname, 'assets', `icon.${process.platform === 'win32' ? 'ico' : 'png'}`)
 
@@ -41,50 +73,297 @@ let mainWindow = null
 let tray = null
 let isQuitting = false
 
+// ── Server views ──────────────────────────────────────────────────────────────
+// One WebContentsView per saved server, hosted in mainWindow beside the rail.
+// Each entry owns its page's keybinds and unread count.
+const SERVER_RAIL_WIDTH = 72
+const serverViews = new Map() // profileId → { view, profile, keybinds, badgeCount, initialDeepLink, contextTarget }
+
+// ── Window geometry ───────────────────────────────────────────────────────────
+const DEFAULT_WINDOW_SIZE = { width: 1280, height: 800 }
+let _windowStateTimer = null // debounced save while the window is moved or resized
+
+// ── Auto-updater ──────────────────────────────────────────────────────────────
+const UPDATE_GITHUB_RELEASES_URL = 'https://api.github.com/repos/shadowflee3/fluxer-client/releases'
+const UPDATE_CHANNELS = ['stable', 'beta']
+let _updateState = 'idle'       // idle | downloading | ready
+let _updateInfo = null          // { version, filePath, kind } once verified on disk
+let _updateCheckPromise = null  // dedupes concurrent checks
+let _updateTimer = null
+let _relaunchAfterUpdate = false // set when the user explicitly asks to restart now
+
+// ── Deep links ────────────────────────────────────────────────────────────────
+let _pendingDeepLink = null // received before the main window existed
+
 // ── Global key hook (PTT) ─────────────────────────────────────────────────────
 let uIOhook = null
 let UiohookKey = null
 let hookStarted = false
-const registeredKeybinds = new Map()
+const _heldKeycodes = new Set() // physically held keys — uiohook repeats keydown while a key is held
+// Raw key/mouse events are only streamed to a page during an explicit capture;
+// otherwise pages see nothing but their own keybind matches.
+let _keyCapture = null // { owner, contents, resolve, timer, mouse, pending }
+// Binds set in the desktop Keybinds window. They live in config.json and are
+// handled by the main process, so they survive reloads and work while the
+// server is unreachable. Shaped like a server entry so matching can treat
+// both the same way.
+const DESKTOP_ACTIONS = {
+  'toggle-mute': 'Toggle Mute',
+  'toggle-deafen': 'Toggle Deafen',
+  'toggle-window': 'Show / Hide Window',
+  ptt: 'Push-to-Talk',
+  screenshot: 'Take Screenshot',
+}
+const desktopKeybinds = { keybinds: new Map(), profile: { id: null, name: 'Desktop keybinds' } }
+let keybindSettingsWindow = null
+let screenshotWindow = null
+let _screenshotImage = null // data URL of the frozen screen while the tool is open
+let _screenshotStarting = false // capturing the screen, before the window exists
+const PTT_MODES = ['hold', 'toggle', 'hold-delay']
+let _pttSettings = { mode: 'hold', releaseDelay: 200, beeps: false }
 
 // ── Screen sharing ────────────────────────────────────────────────────────────
 // Unified Map keyed by requestId so callback and timeout are always in sync
-const pendingDisplayRequests = new Map() // requestId → { callback, timeout }
+const pendingDisplayRequests = new Map() // requestId → { callback, timeout, profileId, fallbackTimer, picker, pickerSources, selectingRegion }
 const cachedSources = new Map()
+// How long the page gets to start its own picker before the built-in one opens
+const DISPLAY_PICKER_FALLBACK_MS = 3000
+// Config key screenShare: { remembered: { [profileId]: source }, rules: [{ match, audio }], indicator,
+// region: { maxWidth, maxHeight, frameRate } }
+const REGION_SHARE_DEFAULTS = { maxWidth: 1920, maxHeight: 1080, frameRate: 30 }
+let _screenShareSettings = { remembered: {}, rules: [], indicator: true, region: { ...REGION_SHARE_DEFAULTS } }
+// Sources handed to a page, until the page confirms it stopped sharing
+const activeShares = new Map() // id → { id, profileId, name, type, displayId, audio, indicator, crop, stop }
+// How long a page gets to confirm a stop asked for from the desktop side
+const SHARE_STOP_CONFIRM_MS = 5000
+let _regionOverlay = null // { win, resolve, display, initial } while the user is drawing a region
+const _regionCrops = new Set() // crop windows, whether or not their share has started yet
+let _shareSeq = 0
 
 // ── Global shortcuts ──────────────────────────────────────────────────────────
-const registeredShortcuts = new Map()
+const registeredShortcuts = new Map() // accelerator → { id, profileId, combo }
 
 // ── Notifications ─────────────────────────────────────────────────────────────
-const activeNotifications = new Map() // id → { notification, url, autoCleanTimeout }
+const activeNotifications = new Map() // id → { notification, url, autoCleanTimeout, profileId }
+
+// ── Downloads ─────────────────────────────────────────────────────────────────
+const MAX_DOWNLOAD_BYTES = 512 * 1024 * 1024
+const activeDownloads = new Map()   // id → { item, profileId, url, fileName, ... }
+const finishedDownloads = []        // newest first, shown in the tray
+const _pendingDownloadTargets = []  // { url, savePath, resolve } waiting for will-download
+const _downloadSessions = new WeakSet() // sessions that already have a will-download listener
+
+// ── Tray & taskbar icon ───────────────────────────────────────────────────────
+// Logical icon size per platform; rendered at every scale factor so the badge
+// stays crisp on HiDPI displays.
+const TRAY_ICON_SIZE = process.platform === 'linux' ? 22 : 16
+const ICON_SCALE_FACTORS = process.platform === 'win32' ? [1, 1.25, 1.5, 2] : [1, 2]
+const _iconCache = new Map() // `${kind}:${label}` → NativeImage
+let _baseIcon = null
+
+// ── Attention requests ────────────────────────────────────────────────────────
+const attentionRequests = new Map() // id → { profileId, dockId } — taskbar flash / dock bounce
+let _attentionSeq = 0
 
 // ── App badge debounce ─────────────────────────────────────────────────────────
 // Module-level so before-quit can cancel a pending write during shutdown.
 let _badgeDebounceTimer = null
 
-// ── Custom notification sound ─────────────────────────────────────────────────
-let _notifSoundPath = null        // absolute path to user-chosen audio file, or null
+// ── Do Not Disturb ────────────────────────────────────────────────────────────
+const DND_CATEGORIES = ['dm', 'mention']
+let _dndSettings = { enabled: false, quietHours: { enabled: false, ranges: [] }, breakthrough: ['dm', 'mention'], queue: true }
+let _dndActive = false
+let _dndTimer = null
+const queuedNotifications = [] // { id, profileId, options } held back while DND is active
+
+// ── Spellcheck ────────────────────────────────────────────────────────────────
+let _spellcheckState = { enabled: true, languages: [] } // languages: [] = Chromium default
+
+// ── Sound library ─────────────────────────────────────────────────────────────
+const SOUND_EVENTS = ['message', 'mention', 'dm', 'call-ring', 'ptt-on', 'ptt-off']
+const SOUND_EVENT_LABELS = {
+  message: 'New Message',
+  mention: 'Mention',
+  dm: 'Direct Message',
+  'call-ring': 'Incoming Call',
+  'ptt-on': 'Push-to-Talk On',
+  'ptt-off': 'Push-to-Talk Off',
+}
+const MAX_SOUND_BYTES = 5 * 1024 * 1024
+let _soundSettings = { volume: 1, events: {} } // events: event → absolute path to a user-chosen file
+const _soundCache = new Map()       // event → { rev, dataUri } | null — files are read and sniffed once
+let _soundRev = 0                   // bumped per cached file so pages know when to re-decode
 let _pickingSoundInProgress = false // guard against concurrent file-picker dialogs
+let soundSettingsWindow = null
 
-// ── Configurable server URL ───────────────────────────────────────────────────
-let appUrl = APP_URL // Overridden at startup from saved config
+// ── Server profiles ───────────────────────────────────────────────────────────
+// Each saved server gets its own persistent session partition so switching
+// between instances keeps every login intact.
+const MAX_SERVER_PROFILES = 20
+let serverProfiles = []    // [{ id, name, url, partition, attachmentHosts }] in display order
+let activeProfileId = null
 let configWindow = null
 
-function loadServerUrl() {
+function readConfig() {
   try {
     const cfgPath = path.join(app.getPath('userData'), 'config.json')
     const cfg = JSON.parse(fs.readFileSync(cfgPath, 'utf8'))
-    if (typeof cfg.serverUrl === 'string') {
-      const p = new URL(cfg.serverUrl)
-      if (['http:', 'https:'].includes(p.protocol)) return cfg.serverUrl
-    }
+    if (cfg && typeof cfg === 'object' && !Array.isArray(cfg)) return cfg
   } catch {}
-  return null // null = first run, no server configured yet
+  return {}
+}
+
+function loadServerProfiles() {
+  const cfg = readConfig()
+  const profiles = []
+  if (Array.isArray(cfg.servers)) {
+    for (const s of cfg.servers) {
+      if (profiles.length >= MAX_SERVER_PROFILES) break
+      if (!s || typeof s.id !== 'string' || !/^[A-Za-z0-9-]{1,64}$/.test(s.id)) continue
+      if (typeof s.url !== 'string' || !isValidServerUrl(s.url)) continue
+      if (profiles.some(p => p.id === s.id)) continue
+      // Only accept partitions we generated ourselves — never an arbitrary string
+      // from a hand-edited config that could alias another profile's session.
+      const partition = typeof s.partition === 'string' && s.partition === `persist:server-${s.id}`
+        ? s.partition : null
+      profiles.push({
+        id: s.id,
+        name: sanitizeProfileName(s.name, s.url),
+        url: s.url,
+        partition,
+        attachmentHosts: sanitizeAttachmentHosts(s.attachmentHosts),
+      })
+    }
+  } else if (typeof cfg.serverUrl === 'string' && isValidServerUrl(cfg.serverUrl)) {
+    // Migrate the single-URL config from older versions. The legacy profile keeps
+    // the default session so the existing login survives the upgrade.
+    profiles.push({
+      id: 'default',
+      name: sanitizeProfileName(null, cfg.serverUrl),
+      url: cfg.serverUrl,
+      partition: null,
+      attachmentHosts: [],
+    })
+  }
+  serverProfiles = profiles
+  activeProfileId = profiles.some(p => p.id === cfg.activeServerId)
+    ? cfg.activeServerId
+    : (profiles[0]?.id ?? null)
+  return profiles.length > 0 // false = first run, no server configured yet
+}
+
+function saveServerProfiles() {
+  saveConfig({
+    servers: serverProfiles.map(p => ({
+      id: p.id,
+      name: p.name,
+      url: p.url,
+      partition: p.partition,
+      ...(p.attachmentHosts.length && { attachmentHosts: p.attachmentHosts }),
+    })),
+    activeServerId: activeProfileId,
+  })
+}
+
+function getActiveProfile() {
+  return serverProfiles.find(p => p.id === activeProfileId) ?? null
+}
+
+function getProfileSession(profile) {
+  return profile?.partition ? session.fromPartition(profile.partition) : session.defaultSession
+}
+
+// Snapshot for the server manager window — partitions are an implementation
+// detail and never leave the main process.
+function listServerProfiles() {
+  return serverProfiles.map(p => ({ id: p.id, name: p.name, url: p.url, active: p.id === activeProfileId }))
+}
+
+function notifyServerProfilesChanged() {
+  rebuildTrayMenu()
+  updateServerRail()
+  layoutServerViews()
+  if (configWindow && !configWindow.isDestroyed()) {
+    try { configWindow.webContents.send('config-servers-changed', listServerProfiles()) } catch {}
+  }
+}
+
+function addServerProfile(name, url) {
+  if (!isValidServerUrl(url)) return null
+  if (serverProfiles.length >= MAX_SERVER_PROFILES) return null
+  const id = crypto.randomUUID()
+  const profile = { id, name: sanitizeProfileName(name, url), url, partition: `persist:server-${id}`, attachmentHosts: [] }
+  serverProfiles.push(profile)
+  if (!activeProfileId) activeProfileId = id
+  saveServerProfiles()
+  createServerView(profile)
+  notifyServerProfilesChanged()
+  return profile
+}
+
+function updateServerProfile(id, name, url) {
+  const profile = serverProfiles.find(p => p.id === id)
+  if (!profile || !isValidServerUrl(url)) return false
+  const urlChanged = profile.url !== url
+  profile.name = sanitizeProfileName(name, url)
+  profile.url = url
+  saveServerProfiles()
+  notifyServerProfilesChanged()
+  // Editing a server's URL reconnects its view in place — same session, new address
+  if (urlChanged) {
+    const entry = serverViews.get(id)
+    if (entry) try { entry.view.webContents.loadURL(url) } catch {}
+  }
+  return true
+}
+
+function removeServerProfile(id) {
+  const idx = serverProfiles.findIndex(p => p.id === id)
+  // Keep at least one profile — removing the last would leave nothing to load
+  if (idx === -1 || serverProfiles.length <= 1) return false
+  const [removed] = serverProfiles.splice(idx, 1)
+  destroyServerView(id)
+  forgetDisplaySource(id)
+  // Wipe the removed server's cookies and storage so its login doesn't linger on
+  // disk. The migrated legacy profile lives in the shared default session, which
+  // other windows use too, so it is left alone.
+  if (removed.partition) getProfileSession(removed).clearStorageData().catch(() => {})
+  if (id === activeProfileId) {
+    switchServerProfile(serverProfiles[0].id)
+  } else {
+    saveServerProfiles()
+    notifyServerProfilesChanged()
+  }
+  return true
+}
+
+function moveServerProfile(id, delta) {
+  const idx = serverProfiles.findIndex(p => p.id === id)
+  const target = idx + Math.sign(Number(delta) || 0)
+  if (idx === -1 || target === idx || target < 0 || target >= serverProfiles.length) return false
+  const [profile] = serverProfiles.splice(idx, 1)
+  serverProfiles.splice(target, 0, profile)
+  saveServerProfiles()
+  notifyServerProfilesChanged()
+  return true
+}
+
+// Every server stays loaded in its own view, so switching only changes which
+// view is visible — no reload, and background servers keep receiving messages.
+function switchServerProfile(id) {
+  const profile = serverProfiles.find(p => p.id === id)
+  if (!profile) return false
+  activeProfileId = id
+  saveServerProfiles()
+  notifyServerProfilesChanged()
+  const entry = getActiveServerEntry()
+  if (entry) try { entry.view.webContents.focus() } catch {}
+  return true
 }
 
 // ── Centralised config persistence ───────────────────────────────────────────
-// A single read-modify-write prevents concurrent saves (e.g. saveServerUrl and
-// saveTheme called in the same tick) from clobbering each other's keys.
+// A single read-modify-write prevents concurrent saves (e.g. saveServerProfiles
+// and saveTheme called in the same tick) from clobbering each other's keys.
 function saveConfig(patch) {
   const cfgPath = path.join(app.getPath('userData'), 'config.json')
   const tmp = cfgPath + '.tmp'
@@ -102,7 +381,74 @@ function saveConfig(patch) {
   }
 }
 
-function saveServerUrl(url) { saveConfig({ serverUrl: url }) }
+// ── Window geometry ───────────────────────────────────────────────────────────
+
+// Saved as { bounds: { x, y, width, height }, maximized, fullscreen, displayId }.
+// bounds are always the restored (non-maximized) size.
+function readWindowState() {
+  const ws = readConfig().windowState
+  if (!ws || typeof ws !== 'object') return null
+  const b = ws.bounds
+  const valid = b && ['x', 'y', 'width', 'height'].every(k => Number.isFinite(b[k])) && b.width > 0 && b.height > 0
+  return {
+    bounds: valid ? { x: Math.round(b.x), y: Math.round(b.y), width: Math.round(b.width), height: Math.round(b.height) } : null,
+    maximized: ws.maximized === true,
+    fullscreen: ws.fullscreen === true,
+    displayId: Number.isFinite(ws.displayId) ? ws.displayId : null,
+  }
+}
+
+// Turn the saved state into createWindow() options that are guaranteed to be
+// on a connected display. Must run after app 'ready' (screen needs it).
+function getSavedWindowPlacement() {
+  const saved = readWindowState()
+  if (!saved?.bounds) return {}
+  const displays = screen.getAllDisplays()
+  const { bounds } = saved
+  // Prefer the monitor it was on; if that one is gone, the closest remaining one
+  const display = displays.find(d => d.id === saved.displayId) ?? screen.getDisplayMatching(bounds)
+  const area = display.workArea
+  const width = Math.min(bounds.width, area.width)
+  const height = Math.min(bounds.height, area.height)
+  // Keep the saved position only if a reasonable strip of the title area is
+  // still visible there; otherwise centre the window on that display.
+  const visibleX = Math.min(bounds.x + width, area.x + area.width) - Math.max(bounds.x, area.x)
+  const onScreen = visibleX >= 100 && bounds.y >= area.y && bounds.y <= area.y + area.height - 50
+  return {
+    bounds: onScreen
+      ? { x: bounds.x, y: bounds.y, width, height }
+      : {
+          x: Math.round(area.x + (area.width - width) / 2),
+          y: Math.round(area.y + (area.height - height) / 2),
+          width,
+          height,
+        },
+    maximized: saved.maximized,
+    fullscreen: saved.fullscreen,
+  }
+}
+
+function saveWindowState() {
+  clearTimeout(_windowStateTimer)
+  _windowStateTimer = null
+  if (!isWindowReady()) return
+  try {
+    const bounds = mainWindow.getNormalBounds()
+    saveConfig({
+      windowState: {
+        bounds,
+        maximized: mainWindow.isMaximized(),
+        fullscreen: mainWindow.isFullScreen(),
+        displayId: screen.getDisplayMatching(bounds).id,
+      },
+    })
+  } catch {}
+}
+
+function scheduleWindowStateSave() {
+  clearTimeout(_windowStateTimer)
+  _windowStateTimer = setTimeout(saveWindowState, 500)
+}
 
 // ── Theme (dark / light / system) ────────────────────────────────────────────
 let currentTheme = 'dark' // default to dark
@@ -129,15 +475,19 @@ function applyTheme(theme) {
 // Helpers
 // ─────────────────────────────────────────────────────────────────────────────
 
-// ── Notification sound helpers ────────────────────────────────────────────────
+// ── Sound library helpers ─────────────────────────────────────────────────────
 
 // Validate audio by magic bytes, not file extension (extension can be spoofed).
 function validateAudioMime(buf) {
   if (!Buffer.isBuffer(buf) || buf.length < 4) return null
   // WAV: "RIFF"
   if (buf[0] === 0x52 && buf[1] === 0x49 && buf[2] === 0x46 && buf[3] === 0x46) return 'audio/wav'
-  // OGG: "OggS"
-  if (buf[0] === 0x4F && buf[1] === 0x67 && buf[2] === 0x67 && buf[3] === 0x53) return 'audio/ogg'
+  // OGG: "OggS" — Opus streams carry an "OpusHead" packet right after the first page header
+  if (buf[0] === 0x4F && buf[1] === 0x67 && buf[2] === 0x67 && buf[3] === 0x53) {
+    return buf.length >= 36 && buf.toString('latin1', 28, 36) === 'OpusHead' ? 'audio/ogg;codecs=opus' : 'audio/ogg'
+  }
+  // FLAC: "fLaC"
+  if (buf[0] === 0x66 && buf[1] === 0x4C && buf[2] === 0x61 && buf[3] === 0x43) return 'audio/flac'
   // MP3: ID3 tag header
   if (buf[0] === 0x49 && buf[1] === 0x44 && buf[2] === 0x33) return 'audio/mpeg'
   // MP3: MPEG sync frame (FF E* or FF F*)
@@ -145,67 +495,446 @@ function validateAudioMime(buf) {
   return null
 }
 
-function loadNotificationSound() {
-  _notifSoundPath = null
+const clampVolume = v => (typeof v === 'number' && Number.isFinite(v) ? Math.min(1, Math.max(0, v)) : 1)
+
+function loadSoundSettings() {
+  const cfg = readConfig()
+  const src = cfg.sounds && typeof cfg.sounds === 'object' ? cfg.sounds : {}
+  const srcEvents = src.events && typeof src.events === 'object' ? src.events : {}
+  const events = {}
+  for (const key of SOUND_EVENTS) {
+    if (typeof srcEvents[key] === 'string' && path.isAbsolute(srcEvents[key])) events[key] = srcEvents[key]
+  }
+  _soundSettings = { volume: clampVolume(src.volume), events }
+  _soundCache.clear()
+  // Older versions stored a single notificationSound — it becomes the message sound
+  if (typeof cfg.notificationSound === 'string' && cfg.notificationSound) {
+    if (!events.message && path.isAbsolute(cfg.notificationSound)) events.message = cfg.notificationSound
+    saveSoundSettings({ notificationSound: null })
+  }
+}
+
+function saveSoundSettings(extra = {}) {
+  saveConfig({ sounds: { volume: _soundSettings.volume, events: { ..._soundSettings.events } }, ...extra })
+}
+
+// Mentions and DMs fall back to the message sound until they get their own
+function resolveSoundKey(event) {
+  if (_soundSettings.events[event]) return event
+  if ((event === 'mention' || event === 'dm') && _soundSettings.events.message) return 'message'
+  return null
+}
+
+const soundEventForNotification = options =>
+  options?.category === 'dm' || options?.category === 'mention' ? options.category : 'message'
+
+// Read, sniff and encode a sound once; later plays reuse the cached data URI.
+// A file that fails validation is remembered as null until it is re-picked.
+function getSoundData(key) {
+  if (_soundCache.has(key)) return _soundCache.get(key)
+  let data = null
+  const filePath = _soundSettings.events[key]
   try {
-    const cfgPath = path.join(app.getPath('userData'), 'config.json')
-    const cfg = JSON.parse(fs.readFileSync(cfgPath, 'utf8'))
-    if (typeof cfg.notificationSound === 'string' && cfg.notificationSound) {
-      const st = fs.statSync(cfg.notificationSound)
-      if (st.isFile()) _notifSoundPath = cfg.notificationSound
+    const st = filePath ? fs.statSync(filePath) : null
+    if (st?.isFile() && st.size <= MAX_SOUND_BYTES) {
+      const buf = fs.readFileSync(filePath)
+      const mime = validateAudioMime(buf)
+      if (mime) data = { rev: ++_soundRev, dataUri: `data:${mime};base64,${buf.toString('base64')}` }
     }
   } catch {}
+  _soundCache.set(key, data)
+  return data
 }
 
-// Read the custom sound file and return a base64 data URI.
-// Returns null if no custom sound is set or the file is invalid/too large.
-function getNotificationSoundDataUri() {
-  if (!_notifSoundPath) return null
-  try {
-    const st = fs.statSync(_notifSoundPath)
-    if (!st.isFile() || st.size > 5 * 1024 * 1024) { _notifSoundPath = null; return null }
-    const buf = fs.readFileSync(_notifSoundPath)
-    const mime = validateAudioMime(buf)
-    if (!mime) { _notifSoundPath = null; return null }
-    return `data:${mime};base64,${buf.toString('base64')}`
-  } catch { _notifSoundPath = null; return null }
+// Short sine beeps used for PTT on/off when no custom sound is chosen
+const BUILTIN_SOUNDS = { 'ptt-on': { freq: 880, ms: 70 }, 'ptt-off': { freq: 587, ms: 70 } }
+
+function generateBeepWav(freq, ms) {
+  const rate = 22050
+  const samples = Math.round(rate * ms / 1000)
+  const buf = Buffer.alloc(44 + samples * 2)
+  buf.write('RIFF', 0, 'ascii')
+  buf.writeUInt32LE(36 + samples * 2, 4)
+  buf.write('WAVEfmt ', 8, 'ascii')
+  buf.writeUInt32LE(16, 16)        // fmt chunk size
+  buf.writeUInt16LE(1, 20)         // PCM
+  buf.writeUInt16LE(1, 22)         // mono
+  buf.writeUInt32LE(rate, 24)
+  buf.writeUInt32LE(rate * 2, 28)  // byte rate
+  buf.writeUInt16LE(2, 32)         // block align
+  buf.writeUInt16LE(16, 34)        // bits per sample
+  buf.write('data', 36, 'ascii')
+  buf.writeUInt32LE(samples * 2, 40)
+  // 5 ms fade in/out so the beep doesn't click
+  const fade = Math.round(rate * 0.005)
+  for (let i = 0; i < samples; i++) {
+    const env = Math.min(1, i / fade, (samples - 1 - i) / fade)
+    buf.writeInt16LE(Math.round(Math.sin(2 * Math.PI * freq * i / rate) * env * 0.3 * 32767), 44 + i * 2)
+  }
+  return buf
+}
+
+function getBuiltinSoundData(event) {
+  const key = `builtin:${event}`
+  if (_soundCache.has(key)) return _soundCache.get(key)
+  const spec = BUILTIN_SOUNDS[event]
+  const data = spec
+    ? { rev: ++_soundRev, dataUri: `data:audio/wav;base64,${generateBeepWav(spec.freq, spec.ms).toString('base64')}` }
+    : null
+  _soundCache.set(key, data)
+  return data
+}
+
+// Ask a server page to play a sound via HTML5 Audio. The page keeps a decoded
+// Audio per key, so the file itself is only sent when the page hasn't seen
+// this revision yet. Defaults to the visible server.
+function playSound(event, entry = getActiveServerEntry(), { loop = false } = {}) {
+  let key = resolveSoundKey(event)
+  let data = key ? getSoundData(key) : null
+  if (!data && BUILTIN_SOUNDS[event]) {
+    key = `builtin:${event}`
+    data = getBuiltinSoundData(event)
+  }
+  if (!data || !entry || !isWindowReady()) return false
+  const known = entry.soundRevs.get(key) === data.rev
+  entry.soundRevs.set(key, data.rev)
+  sendToServer(entry, 'play-sound', {
+    key,
+    rev: data.rev,
+    volume: _soundSettings.volume,
+    loop: Boolean(loop),
+    ...(known ? {} : { dataUri: data.dataUri }),
+  })
+  return true
+}
+
+function getSoundSettingsState() {
+  return {
+    volume: _soundSettings.volume,
+    events: SOUND_EVENTS.map(key => ({
+      key,
+      label: SOUND_EVENT_LABELS[key],
+      file: _soundSettings.events[key] ? path.basename(_soundSettings.events[key]) : null,
+    })),
+  }
 }
 
-// Send the custom sound to the renderer to play via HTML5 Audio.
-function playNotificationSound() {
-  const dataUri = getNotificationSoundDataUri()
-  if (!dataUri || !isWindowReady()) return
-  try { mainWindow.webContents.send('play-notification-sound', dataUri) } catch {}
+function notifySoundSettingsChanged() {
+  rebuildTrayMenu()
+  if (soundSettingsWindow && !soundSettingsWindow.isDestroyed()) {
+    soundSettingsWindow.webContents.send('sound-settings-changed', getSoundSettingsState())
+  }
 }
 
-// Open a file picker and, if the user picks a valid audio file, save it.
-async function pickNotificationSound(parentWin) {
+// Open a file picker and, if the user picks a valid audio file, use it for event.
+async function pickSound(event, parentWin) {
+  if (!SOUND_EVENTS.includes(event)) return { success: false, error: 'Unknown sound' }
   if (_pickingSoundInProgress) return { success: false, error: 'Picker already open' }
   _pickingSoundInProgress = true
   const win = parentWin && !parentWin.isDestroyed() ? parentWin : (isWindowReady() ? mainWindow : null)
   try {
     const result = await dialog.showOpenDialog(win, {
-      title: 'Choose Notification Sound',
-      filters: [{ name: 'Audio Files', extensions: ['mp3', 'wav', 'ogg'] }],
+      title: `Choose ${SOUND_EVENT_LABELS[event]} Sound`,
+      filters: [{ name: 'Audio Files', extensions: ['mp3', 'wav', 'ogg', 'oga', 'opus', 'flac'] }],
       properties: ['openFile'],
     })
     if (result.canceled || !result.filePaths.length) return { success: false }
     const filePath = result.filePaths[0]
     const buf = fs.readFileSync(filePath)
-    if (buf.length > 5 * 1024 * 1024) return { success: false, error: 'File too large (max 5 MB)' }
-    if (!validateAudioMime(buf)) return { success: false, error: 'Unsupported format — use MP3, WAV, or OGG' }
-    _notifSoundPath = filePath
-    saveConfig({ notificationSound: filePath })
-    rebuildTrayMenu()
+    if (buf.length > MAX_SOUND_BYTES) return { success: false, error: 'File too large (max 5 MB)' }
+    if (!validateAudioMime(buf)) return { success: false, error: 'Unsupported format — use MP3, WAV, OGG, Opus or FLAC' }
+    _soundSettings.events[event] = filePath
+    _soundCache.delete(event)
+    saveSoundSettings()
+    notifySoundSettingsChanged()
     return { success: true, name: path.basename(filePath) }
   } catch (err) { return { success: false, error: err.message } }
   finally { _pickingSoundInProgress = false }
 }
 
-function clearNotificationSound() {
-  _notifSoundPath = null
-  saveConfig({ notificationSound: null })
+function clearSound(event) {
+  if (!SOUND_EVENTS.includes(event)) return false
+  delete _soundSettings.events[event]
+  _soundCache.delete(event)
+  saveSoundSettings()
+  notifySoundSettingsChanged()
+  return true
+}
+
+function setSoundVolume(volume) {
+  if (typeof volume !== 'number' || !Number.isFinite(volume)) return false
+  _soundSettings.volume = clampVolume(volume)
+  saveSoundSettings()
+  notifySoundSettingsChanged()
+  return true
+}
+
+// ── Spellcheck helpers ────────────────────────────────────────────────────────
+
+function loadSpellcheckSettings() {
+  const cfg = readConfig()
+  const sc = cfg.spellcheck && typeof cfg.spellcheck === 'object' ? cfg.spellcheck : {}
+  _spellcheckState = {
+    enabled: sc.enabled !== false,
+    languages: Array.isArray(sc.languages)
+      ? sc.languages.filter(l => typeof l === 'string' && /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(l)).slice(0, 8)
+      : [],
+  }
+}
+
+// Copy user-supplied Hunspell dictionaries (e.g. en-US-10-1.bdic from Electron's
+// hunspell_dictionaries.zip) into Chromium's dictionary folder. Chromium only
+// downloads a dictionary when no matching file is present, so this makes
+// spellcheck work fully offline.
+function installLocalDictionaries() {
+  const cfg = readConfig()
+  const srcDir = typeof cfg.spellcheckDictionaryDir === 'string' && path.isAbsolute(cfg.spellcheckDictionaryDir)
+    ? cfg.spellcheckDictionaryDir
+    : path.join(app.getPath('userData'), 'dictionaries')
+  const destDir = path.join(app.getPath('userData'), 'Dictionaries')
+  try {
+    const files = fs.readdirSync(srcDir).filter(f => /^[A-Za-z0-9-]+\.bdic$/.test(f))
+    if (!files.length) return
+    fs.mkdirSync(destDir, { recursive: true })
+    for (const f of files) {
+      const src = path.join(srcDir, f)
+      const dest = path.join(destDir, f)
+      try {
+        const st = fs.statSync(src)
+        // .bdic files are a few MB at most — skip anything that clearly isn't one
+        if (!st.isFile() || st.size > 50 * 1024 * 1024) continue
+        const existing = fs.statSync(dest, { throwIfNoEntry: false })
+        if (existing && existing.size === st.size && existing.mtimeMs >= st.mtimeMs) continue
+        fs.copyFileSync(src, dest)
+      } catch (err) {
+        console.error('[Spellcheck] Failed to install dictionary', f, err.message)
+      }
+    }
+  } catch {} // No local dictionary folder — Chromium downloads on demand as usual
+}
+
+function getAvailableSpellcheckLanguages() {
+  try { return session.defaultSession.availableSpellCheckerLanguages ?? [] } catch { return [] }
+}
+
+// Chromium's own choice when none is made: the app locale, or another region of
+// its language, among the dictionaries it offers
+function getDefaultSpellcheckLanguages() {
+  const available = getAvailableSpellcheckLanguages()
+  const locale = app.getLocale()
+  if (available.includes(locale)) return [locale]
+  const lang = locale.split('-')[0]
+  const match = available.find(l => l === lang || l.startsWith(`${lang}-`))
+  if (match) return [match]
+  return available.includes('en-US') ? ['en-US'] : []
+}
+
+function applySpellcheckToSession(ses) {
+  try { ses.setSpellCheckerEnabled(_spellcheckState.enabled) } catch {}
+  // An empty list means the default languages. They are set explicitly so that
+  // switching back from a custom list takes effect without a restart. macOS
+  // always uses the OS spellchecker and ignores the language list.
+  if (process.platform === 'darwin') return
+  const languages = _spellcheckState.languages.length ? _spellcheckState.languages : getDefaultSpellcheckLanguages()
+  if (!languages.length) return
+  try { ses.setSpellCheckerLanguages(languages) } catch (err) {
+    console.error('[Spellcheck] Failed to set languages:', err.message)
+  }
+}
+
+function getSpellcheckState() {
+  let languages = _spellcheckState.languages
+  if (!languages.length) {
+    try { languages = getActiveServerEntry()?.view.webContents.session.getSpellCheckerLanguages() ?? [] } catch {}
+  }
+  return { enabled: _spellcheckState.enabled, languages }
+}
+
+function setSpellcheckState(state) {
+  const available = getAvailableSpellcheckLanguages()
+  if (typeof state?.enabled === 'boolean') _spellcheckState.enabled = state.enabled
+  if (Array.isArray(state?.languages)) {
+    // On macOS the list is empty (OS-managed) so there is nothing to validate against
+    _spellcheckState.languages = state.languages
+      .filter(l => typeof l === 'string' && (!available.length || available.includes(l)))
+      .slice(0, 8)
+  }
+  saveConfig({ spellcheck: { ..._spellcheckState } })
+  for (const entry of serverViews.values()) applySpellcheckToSession(entry.view.webContents.session)
+  const current = getSpellcheckState()
+  sendToAllServers('spellcheck-state-changed', current)
+  return current
+}
+
+// ── Desktop notifications ─────────────────────────────────────────────────────
+
+function trimQueuedNotification(options) {
+  return {
+    title: String(options.title ?? 'Notification').slice(0, 256),
+    body: String(options.body ?? '').slice(0, 1024),
+    ...(typeof options.url === 'string' && options.url.length <= 2048 && { url: options.url }),
+    ...(typeof options.category === 'string' && { category: options.category }),
+    silent: Boolean(options.silent),
+  }
+}
+
+function showDesktopNotification(id, profileId, options) {
+  try {
+    let url = null
+    if (typeof options.url === 'string') {
+      try {
+        const p = new URL(options.url)
+        if (['http:', 'https:', 'mailto:'].includes(p.protocol)) url = options.url
+      } catch {}
+    }
+    // Convert data URI to NativeImage — Notification.icon expects a NativeImage
+    // or file path, not a raw data URI. Also validates through Electron's image
+    // pipeline and caps size to prevent DoS via large icon payloads.
+    let notifIcon
+    if (options.icon && typeof options.icon === 'string' &&
+        (options.icon.startsWith('data:image/png;base64,') || options.icon.startsWith('data:image/jpeg;base64,')) &&
+        options.icon.length <= 2 * 1024 * 1024) {
+      try { notifIcon = nativeImage.createFromDataURL(options.icon) } catch {}
+    }
+    const n = new Notification({
+      title: String(options.title ?? 'Notification').slice(0, 256),
+      body: String(options.body ?? '').slice(0, 1024),
+      // Suppress system sound when a custom sound is configured so we can
+      // play our own file instead. Honour options.silent unconditionally.
+      silent: Boolean(options.silent) || !!resolveSoundKey(soundEventForNotification(options)),
+      ...(notifIcon ? { icon: notifIcon } : {}),
+    })
+    // Auto-cleanup after 30s in case 'close' event never fires on this platform
+    const autoCleanTimeout = setTimeout(() => {
+      const entry = activeNotifications.get(id)
+      if (entry) {
+        try { entry.notification.close() } catch {}
+        activeNotifications.delete(id)
+      }
+    }, 30_000)
+    activeNotifications.set(id, { notification: n, url, autoCleanTimeout, profileId })
+    n.on('click', () => {
+      clearTimeout(autoCleanTimeout)
+      activeNotifications.delete(id)
+      if (isWindowReady()) {
+        if (serverViews.has(profileId) && profileId !== activeProfileId) switchServerProfile(profileId)
+        mainWindow.show()
+        mainWindow.focus()
+        if (url) sendToServer(serverViews.get(profileId), 'notification-click', id, url)
+      }
+    })
+    n.on('close', () => {
+      clearTimeout(autoCleanTimeout)
+      activeNotifications.delete(id)
+    })
+    n.show()
+    // Play custom sound after showing. Skip if the caller explicitly requested
+    // silence — that flag suppresses both the system sound AND our custom one.
+    if (!Boolean(options.silent)) playSound(soundEventForNotification(options), serverViews.get(profileId))
+  } catch (err) {
+    console.error('[Notification] Failed to show:', err)
+  }
+}
+
+// ── Do Not Disturb helpers ────────────────────────────────────────────────────
+
+function sanitizeDndSettings(raw, base) {
+  const src = raw && typeof raw === 'object' ? raw : {}
+  const qh = src.quietHours && typeof src.quietHours === 'object' ? src.quietHours : null
+  return {
+    enabled: typeof src.enabled === 'boolean' ? src.enabled : base.enabled,
+    quietHours: qh
+      ? {
+          enabled: typeof qh.enabled === 'boolean' ? qh.enabled : base.quietHours.enabled,
+          ranges: Array.isArray(qh.ranges) ? sanitizeQuietHourRanges(qh.ranges) : base.quietHours.ranges,
+        }
+      : base.quietHours,
+    breakthrough: Array.isArray(src.breakthrough)
+      ? DND_CATEGORIES.filter(c => src.breakthrough.includes(c))
+      : base.breakthrough,
+    queue: typeof src.queue === 'boolean' ? src.queue : base.queue,
+  }
+}
+
+function loadDndSettings() {
+  _dndSettings = sanitizeDndSettings(readConfig().dnd, _dndSettings)
+  _dndActive = computeDndActive()
+}
+
+const computeDndActive = () => _dndSettings.enabled || isInQuietHours(_dndSettings.quietHours)
+
+function getDndState() {
+  return {
+    active: _dndActive,
+    enabled: _dndSettings.enabled,
+    scheduled: isInQuietHours(_dndSettings.quietHours),
+    quietHours: { enabled: _dndSettings.quietHours.enabled, ranges: _dndSettings.quietHours.ranges.map(r => ({ ...r, days: [...r.days] })) },
+    breakthrough: [..._dndSettings.breakthrough],
+    queue: _dndSettings.queue,
+    queued: queuedNotifications.length,
+  }
+}
+
+// Re-evaluate after a settings change or a schedule tick. Leaving DND delivers
+// whatever was queued in the meantime.
+function refreshDndState(force = false) {
+  const wasActive = _dndActive
+  _dndActive = computeDndActive()
+  if (wasActive === _dndActive && !force) return
+  if (!_dndActive) flushQueuedNotifications()
   rebuildTrayMenu()
+  sendToAllServers('dnd-state-changed', getDndState())
+}
+
+function setDndState(patch) {
+  _dndSettings = sanitizeDndSettings(patch, _dndSettings)
+  saveConfig({ dnd: { ..._dndSettings } })
+  if (!_dndSettings.queue) queuedNotifications.length = 0
+  refreshDndState(true)
+  return getDndState()
+}
+
+// Quiet hours start and end on minute boundaries — a 30s tick is precise enough
+// and costs nothing.
+function startDndSchedule() {
+  clearInterval(_dndTimer)
+  _dndTimer = setInterval(() => refreshDndState(), 30_000)
+}
+
+// true when the notification should be held back. Breakthrough categories
+// (DMs, @mentions) are always delivered; the badge count is untouched either way.
+function shouldSuppressNotification(options) {
+  if (!_dndActive) return false
+  return !(typeof options?.category === 'string' && _dndSettings.breakthrough.includes(options.category))
+}
+
+function flushQueuedNotifications() {
+  if (!queuedNotifications.length) return
+  const queued = queuedNotifications.splice(0)
+  const byServer = new Map()
+  for (const q of queued) {
+    if (!serverViews.has(q.profileId)) continue
+    if (!byServer.has(q.profileId)) byServer.set(q.profileId, [])
+    byServer.get(q.profileId).push(q)
+  }
+  for (const [profileId, items] of byServer) {
+    // A handful are replayed as-is; a long backlog collapses into one summary
+    // so leaving quiet hours doesn't fire a burst of popups.
+    if (items.length <= 3) {
+      items.forEach((q, i) => showDesktopNotification(q.id, profileId, i ? { ...q.options, silent: true } : q.options))
+    } else {
+      const name = serverViews.get(profileId)?.profile.name ?? APP_NAME
+      showDesktopNotification(`n-${crypto.randomUUID()}`, profileId, {
+        title: name,
+        body: `${items.length} notifications arrived while Do Not Disturb was on`,
+      })
+    }
+  }
+}
+
+function dropQueuedNotification(id) {
+  const idx = queuedNotifications.findIndex(q => q.id === id)
+  if (idx !== -1) queuedNotifications.splice(idx, 1)
 }
 
 function escHtml(str) {
@@ -217,10 +946,259 @@ function escHtml(str) {
     .replace(/"/g, '&quot;')
 }
 
+// A badge count of -1 means "unread mentions" without a number and is shown as a dot
+function getUnreadSummary() {
+  let total = 0
+  let mention = false
+  for (const entry of serverViews.values()) {
+    if (entry.badgeCount > 0) total += entry.badgeCount
+    else if (entry.badgeCount < 0) mention = true
+  }
+  return { total, mention }
+}
+
+// Debounce rapid-fire badge updates (e.g. per-message increments) to avoid
+// flooding the OS taskbar overlay with high-frequency writes.
+function updateBadgeCount() {
+  clearTimeout(_badgeDebounceTimer)
+  _badgeDebounceTimer = setTimeout(() => {
+    const { total, mention } = getUnreadSummary()
+    try { app.badgeCount = total } catch {}
+    if (process.platform === 'darwin' && !total && mention) try { app.dock.setBadge('•') } catch {}
+    updateTrayIcon()
+    updateServerRail()
+  }, 50)
+}
+
+// ── Tray & taskbar icon rendering ─────────────────────────────────────────────
+// The badge is drawn straight into the icon's BGRA bitmap so no image assets
+// or canvas are needed. Digits use a 3×5 pixel font scaled to the badge height.
+const BADGE_GLYPHS = {
+  0: ['111', '101', '101', '101', '111'],
+  1: ['010', '110', '010', '010', '111'],
+  2: ['111', '001', '111', '100', '111'],
+  3: ['111', '001', '111', '001', '111'],
+  4: ['101', '101', '111', '001', '001'],
+  5: ['111', '100', '111', '001', '111'],
+  6: ['111', '100', '111', '101', '111'],
+  7: ['111', '001', '001', '001', '001'],
+  8: ['111', '101', '111', '101', '111'],
+  9: ['111', '101', '111', '001', '111'],
+  '+': ['000', '010', '111', '010', '000'],
+}
+// B, G, R — red for unread, amber for "the app is listening to your keyboard"
+const BADGE_COLORS = { red: [0x45, 0x42, 0xED], amber: [0x1E, 0xA8, 0xF5], green: [0x5A, 0xA5, 0x23] }
+
+// Distance from (x, y) to the horizontal segment (x1..x2, cy)
+const distToSegment = (x, y, x1, x2, cy) => Math.hypot(x - Math.min(Math.max(x, x1), x2), y - cy)
+
+// Anti-aliased coverage (0–1) of a pill of radius r around that segment,
+// sampled 4×4 per pixel
+function pillCoverage(px, py, x1, x2, cy, r) {
+  let hits = 0
+  for (let sy = 0; sy < 4; sy++) {
+    for (let sx = 0; sx < 4; sx++) {
+      if (distToSegment(px + (sx + 0.5) / 4, py + (sy + 0.5) / 4, x1, x2, cy) <= r) hits++
+    }
+  }
+  return hits / 16
+}
+
+// Draw a badge into the bottom-right corner of a premultiplied BGRA bitmap.
+// label '' draws a plain dot. fill makes the badge use the whole canvas
+// (Windows overlay icons are composited onto the taskbar button by the shell).
+function drawBadge(buf, px, label, { fill = false, color = 'red' } = {}) {
+  const rgb = BADGE_COLORS[color] ?? BADGE_COLORS.red
+  const h = fill ? px : Math.max(6, Math.round(px * 0.56))
+  let text = label
+  let g = Math.max(1, Math.floor((h - 2) / 5))
+  let textW = 0
+  let w = h
+  if (label) {
+    // Fall back to shorter labels until one fits the canvas
+    for (const candidate of [label, label.length > 2 ? '9+' : null, '+'].filter(Boolean)) {
+      text = candidate
+      for (g = Math.max(1, Math.floor((h - 2) / 5)); g >= 1; g--) {
+        textW = text.length * 3 * g + (text.length - 1) * g
+        w = Math.max(h, textW + 2 * g + 2)
+        if (w <= px) break
+      }
+      if (w <= px) break
+    }
+    w = Math.min(w, px)
+  } else if (!fill) {
+    w = Math.max(6, Math.round(px * 0.44))
+  }
+  const dotH = label ? h : w
+  const r = dotH / 2
+  const x0 = px - w
+  const y0 = px - dotH
+  const cy = y0 + r
+  const x1 = x0 + r
+  const x2 = x0 + w - r
+  // Clear a thin ring around the badge so it stands apart from the icon
+  const ring = fill ? 0 : Math.max(1, Math.round(px / 16))
+  for (let y = Math.max(0, Math.floor(y0 - ring)); y < px; y++) {
+    for (let x = Math.max(0, Math.floor(x0 - ring)); x < px; x++) {
+      const i = (y * px + x) * 4
+      const cut = ring ? pillCoverage(x, y, x1, x2, cy, r + ring) : 0
+      const cov = pillCoverage(x, y, x1, x2, cy, r)
+      for (let c = 0; c < 4; c++) buf[i + c] = Math.round(buf[i + c] * (1 - Math.max(cut, cov)))
+      if (!cov) continue
+      for (let c = 0; c < 3; c++) buf[i + c] += Math.round(rgb[c] * cov)
+      buf[i + 3] += Math.round(255 * cov)
+    }
+  }
+  if (!label) return
+  const tx = x0 + Math.round((w - textW) / 2)
+  const ty = y0 + Math.round((dotH - 5 * g) / 2)
+  ;[...text].forEach((ch, n) => {
+    const glyph = BADGE_GLYPHS[ch]
+    for (let gy = 0; gy < 5; gy++) {
+      for (let gx = 0; gx < 3; gx++) {
+        if (glyph[gy][gx] !== '1') continue
+        for (let dy = 0; dy < g; dy++) {
+          for (let dx = 0; dx < g; dx++) {
+            const x = tx + n * 4 * g + gx * g + dx
+            const y = ty + gy * g + dy
+            if (x < 0 || y < 0 || x >= px || y >= px) continue
+            buf.fill(255, (y * px + x) * 4, (y * px + x) * 4 + 4)
+          }
+        }
+      }
+    }
+  })
+}
+
+// kind 'tray' draws on top of the app icon; 'overlay' is a badge on its own.
+// label null returns the plain icon.
+function getBadgedIcon(kind, label, color = 'red') {
+  const key = `${kind}:${label}:${color}`
+  if (_iconCache.has(key)) return _iconCache.get(key)
+  if (!_baseIcon) _baseIcon = nativeImage.createFromPath(ICON_PATH)
+  let image = _baseIcon
+  if (label !== null && !_baseIcon.isEmpty()) {
+    image = nativeImage.createEmpty()
+    for (const scaleFactor of ICON_SCALE_FACTORS) {
+      const px = Math.round(TRAY_ICON_SIZE * scaleFactor)
+      const buf = kind === 'overlay'
+        ? Buffer.alloc(px * px * 4)
+        : Buffer.from(_baseIcon.resize({ width: px, height: px, quality: 'best' }).toBitmap())
+      if (buf.length !== px * px * 4) continue
+      drawBadge(buf, px, label, { fill: kind === 'overlay', color })
+      image.addRepresentation({ scaleFactor, width: px, height: px, buffer: buf })
+    }
+  }
+  // A handful of counts covers almost everything; don't let odd ones pile up
+  if (_iconCache.size >= 32) _iconCache.clear()
+  _iconCache.set(key, image)
+  return image
+}
+
+// Single place that decides how the tray icon, its tooltip and the Windows
+// taskbar overlay look. Call it whenever anything they reflect changes.
+function updateTrayIcon() {
+  const { total, mention } = getUnreadSummary()
+  const label = total > 0 ? (total > 99 ? '99+' : String(total)) : (mention ? '' : null)
+  const status = []
+  // Activity indicators outrank the unread badge on the tray icon itself
+  let trayIcon = null
+  if (activeShares.size) {
+    const names = [...activeShares.values()].map(share => share.name)
+    status.push(`sharing ${names.join(', ')}`)
+    trayIcon = getBadgedIcon('tray', '', 'green')
+  }
+  if (_keyCapture) {
+    status.push('listening for a keybind')
+    trayIcon = getBadgedIcon('tray', '', 'amber')
+  }
+  if (total > 0) status.push(`${total} unread`)
+  else if (mention) status.push('unread mentions')
+  const tooltip = status.length ? `${APP_NAME} — ${status.join(', ')}` : APP_NAME
+  if (tray && !tray.isDestroyed()) {
+    try {
+      tray.setImage(trayIcon ?? getBadgedIcon('tray', label))
+      tray.setToolTip(tooltip)
+    } catch {}
+  }
+  if (process.platform === 'win32' && isWindowReady()) {
+    try { mainWindow.setOverlayIcon(label === null ? null : getBadgedIcon('overlay', label), tooltip) } catch {}
+  }
+}
+
+// Draw attention to the window: a dock bounce on macOS, a taskbar flash on
+// Windows and the urgency hint on Linux. Returns an id for cancelAttention, or
+// -1 when there is nothing to do because the window already has focus.
+function requestAttention(type, profileId) {
+  if (!isWindowReady() || (mainWindow.isVisible() && mainWindow.isFocused())) return -1
+  if (attentionRequests.size >= 32) return -1
+  let dockId = null
+  if (process.platform === 'darwin') {
+    try { dockId = app.dock.bounce(type === 'critical' ? 'critical' : 'informational') } catch {}
+  } else {
+    try { mainWindow.flashFrame(true) } catch {}
+  }
+  const id = ++_attentionSeq
+  attentionRequests.set(id, { profileId, dockId })
+  return id
+}
+
+function cancelAttention(id) {
+  const req = attentionRequests.get(id)
+  if (!req) return
+  attentionRequests.delete(id)
+  if (req.dockId !== null) try { app.dock.cancelBounce(req.dockId) } catch {}
+  // The flash is shared by every request — stop it when the last one goes
+  if (!attentionRequests.size && process.platform !== 'darwin' && isWindowReady()) {
+    try { mainWindow.flashFrame(false) } catch {}
+  }
+}
+
+function cancelAllAttention(profileId = null) {
+  for (const [id, req] of attentionRequests) {
+    if (profileId === null || req.profileId === profileId) cancelAttention(id)
+  }
+}
+
 function isWindowReady() {
   return mainWindow && !mainWindow.isDestroyed()
 }
 
+// The app's own windows are static pages in pages/. They are still loaded as
+// data: URLs, as the config window is, so they get an opaque origin with no
+// file:// access.
+function loadAppPage(contents, name) {
+  const html = fs.readFileSync(path.join(__dirname, 'pages', `${name}.html`), 'utf8')
+  return contents.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(html))
+}
+
+// Drop everything a server page registered — used on navigation and when the
+// server's view is torn down.
+function resetPageState(entry) {
+  clearKeybinds(entry)
+  if (_keyCapture?.owner === entry) finishKeyCapture(null)
+  // Unregister only the shortcuts this page owns — avoids nuking shortcuts other
+  // servers (or Electron internal code) registered on the same instance.
+  for (const [accelerator, owner] of registeredShortcuts) {
+    if (owner.profileId !== entry.profile.id) continue
+    try { globalShortcut.unregister(accelerator) } catch {}
+    registeredShortcuts.delete(accelerator)
+  }
+  for (const [requestId, req] of pendingDisplayRequests) {
+    if (req.profileId === entry.profile.id) settleDisplayRequest(requestId, { video: null })
+  }
+  stopSourceSubscription(entry)
+  if (pendingDisplayRequests.size === 0) cachedSources.clear()
+  // Navigating away ends any capture the page was running
+  for (const share of [...activeShares.values()]) {
+    if (share.profileId === entry.profile.id) endShareSession(share.id, false)
+  }
+  if (entry.badgeCount) { entry.badgeCount = 0; updateBadgeCount() }
+  // The new page starts with an empty Audio cache
+  entry.soundRevs.clear()
+  cancelAllAttention(entry.profile.id)
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Single instance lock
 // ─────────────────────────────────────────────────────────────────────────────
@@ -228,7 +1206,10 @@ const gotLock = app.requestSingleInstanceLock()
 if (!gotLock) {
   app.quit()
 } else {
-  app.on('second-instance', () => {
+  app.on('second-instance', (_event, argv) => {
+    // Windows and Linux launch a second instance with the fluxer:// URL in argv
+    const link = findDeepLinkInArgv(argv)
+    if (link) { handleDeepLink(link); return }
     if (isWindowReady()) {
       if (!mainWindow.isVisible()) mainWindow.show()
       if (mainWindow.isMinimized()) mainWindow.restore()
@@ -237,6 +1218,48 @@ if (!gotLock) {
   })
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Deep links (fluxer://)
+// ─────────────────────────────────────────────────────────────────────────────
+// Running unpackaged (npm start) the protocol must point at electron + our script,
+// otherwise the OS would launch a bare Electron without the app.
+if (process.defaultApp && process.argv.length >= 2) {
+  app.setAsDefaultProtocolClient(DEEP_LINK_PROTOCOL, process.execPath, [path.resolve(process.argv[1])])
+} else {
+  app.setAsDefaultProtocolClient(DEEP_LINK_PROTOCOL)
+}
+
+// macOS delivers links through open-url instead of argv — including on cold
+// start, where it can fire before 'ready', so it must be registered up front.
+app.on('open-url', (event, url) => {
+  event.preventDefault()
+  handleDeepLink(url)
+})
+
+function handleDeepLink(raw) {
+  // Nothing to route to yet (cold start before ready, or first-run setup still
+  // open) — hold the link until the main window exists.
+  if (!isWindowReady() || serverViews.size === 0) { _pendingDeepLink = raw; return }
+  const link = resolveDeepLink(raw, serverProfiles, activeProfileId)
+  if (!link) return
+  const entry = serverViews.get(link.profileId)
+  if (!entry) return
+  if (link.profileId !== activeProfileId) switchServerProfile(link.profileId)
+  if (!mainWindow.isVisible()) mainWindow.show()
+  if (mainWindow.isMinimized()) mainWindow.restore()
+  mainWindow.focus()
+  // A page that is still loading hasn't subscribed to onDeepLink yet — park the
+  // link for its getInitialDeepLink() call instead of sending it into the void.
+  if (entry.view.webContents.isLoading()) entry.initialDeepLink = link.url
+  else sendToServer(entry, 'deep-link', link.url)
+}
+
+function flushPendingDeepLink() {
+  const link = _pendingDeepLink
+  _pendingDeepLink = null
+  if (link) handleDeepLink(link)
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Global key hook helpers
 // ─────────────────────────────────────────────────────────────────────────────
@@ -244,6 +1267,7 @@ if (!gotLock) {
 let _keycodeMap = null
 function getKeycodeMap() {
   if (_keycodeMap) return _keycodeMap
+  if (!UiohookKey) return null
   _keycodeMap = {
     [UiohookKey.Escape]: 'Escape',
     [UiohookKey.F1]: 'F1', [UiohookKey.F2]: 'F2', [UiohookKey.F3]: 'F3',
@@ -282,6 +1306,34 @@ function getKeycodeMap() {
     [UiohookKey.Insert]: 'Insert', [UiohookKey.Delete]: 'Delete',
     [UiohookKey.Home]: 'Home', [UiohookKey.End]: 'End',
     [UiohookKey.PageUp]: 'PageUp', [UiohookKey.PageDown]: 'PageDown',
+    [UiohookKey.F13]: 'F13', [UiohookKey.F14]: 'F14', [UiohookKey.F15]: 'F15',
+    [UiohookKey.F16]: 'F16', [UiohookKey.F17]: 'F17', [UiohookKey.F18]: 'F18',
+    [UiohookKey.F19]: 'F19', [UiohookKey.F20]: 'F20', [UiohookKey.F21]: 'F21',
+    [UiohookKey.F22]: 'F22', [UiohookKey.F23]: 'F23', [UiohookKey.F24]: 'F24',
+    [UiohookKey.PrintScreen]: 'PrintScreen', [UiohookKey.ScrollLock]: 'ScrollLock',
+    [UiohookKey.NumLock]: 'NumLock',
+    [UiohookKey.Numpad0]: 'Numpad0', [UiohookKey.Numpad1]: 'Numpad1', [UiohookKey.Numpad2]: 'Numpad2',
+    [UiohookKey.Numpad3]: 'Numpad3', [UiohookKey.Numpad4]: 'Numpad4', [UiohookKey.Numpad5]: 'Numpad5',
+    [UiohookKey.Numpad6]: 'Numpad6', [UiohookKey.Numpad7]: 'Numpad7', [UiohookKey.Numpad8]: 'Numpad8',
+    [UiohookKey.Numpad9]: 'Numpad9',
+    [UiohookKey.NumpadMultiply]: 'NumpadMultiply', [UiohookKey.NumpadAdd]: 'NumpadAdd',
+    [UiohookKey.NumpadSubtract]: 'NumpadSubtract', [UiohookKey.NumpadDecimal]: 'NumpadDecimal',
+    [UiohookKey.NumpadDivide]: 'NumpadDivide', [UiohookKey.NumpadEnter]: 'NumpadEnter',
+    // Numpad with NumLock off reports the navigation meaning of each key
+    [UiohookKey.NumpadEnd]: 'NumpadEnd', [UiohookKey.NumpadArrowDown]: 'NumpadArrowDown',
+    [UiohookKey.NumpadPageDown]: 'NumpadPageDown', [UiohookKey.NumpadArrowLeft]: 'NumpadArrowLeft',
+    [UiohookKey.NumpadArrowRight]: 'NumpadArrowRight', [UiohookKey.NumpadHome]: 'NumpadHome',
+    [UiohookKey.NumpadArrowUp]: 'NumpadArrowUp', [UiohookKey.NumpadPageUp]: 'NumpadPageUp',
+    [UiohookKey.NumpadInsert]: 'NumpadInsert', [UiohookKey.NumpadDelete]: 'NumpadDelete',
+    // libuiohook codes that uiohook-napi does not export names for
+    0x0E45: 'Pause', 0x0E5D: 'ContextMenu', 0x0E0D: 'NumpadEqual', 0x0E46: 'IntlBackslash',
+    0xE022: 'MediaPlayPause', 0xE024: 'MediaStop',
+    0xE010: 'MediaTrackPrevious', 0xE019: 'MediaTrackNext',
+    0xE020: 'AudioVolumeMute', 0xE02E: 'AudioVolumeDown', 0xE030: 'AudioVolumeUp',
+    0xE06D: 'MediaSelect', 0xE06C: 'LaunchMail', 0xE021: 'LaunchApp2',
+    0xE065: 'BrowserSearch', 0xE032: 'BrowserHome', 0xE06A: 'BrowserBack',
+    0xE069: 'BrowserForward', 0xE068: 'BrowserStop', 0xE067: 'BrowserRefresh',
+    0xE066: 'BrowserFavorites',
   }
   return _keycodeMap
 }
@@ -291,50 +1343,555 @@ function keycodeToKeyName(keycode) {
   return getKeycodeMap()[keycode] ?? `Key${keycode}`
 }
 
-function handleKeyEvent(event, type) {
-  // Guard: don't fire if hook has been stopped or window is gone
-  if (!hookStarted || !isWindowReady()) return
-  const { keycode } = event
-  const keyName = keycodeToKeyName(keycode)
+// ── Push-to-talk ──────────────────────────────────────────────────────────────
+// Binds registered with ptt: true are driven by the main process so the page
+// gets a clean on/off signal even while Chromium throttles it in the tray:
+//   hold        — on while the key is held
+//   toggle      — each press flips on/off
+//   hold-delay  — like hold, but stays on for releaseDelay ms after release
 
-  mainWindow.webContents.send('global-key-event', {
-    type, keycode, keyName,
-    altKey: event.altKey, ctrlKey: event.ctrlKey,
-    shiftKey: event.shiftKey, metaKey: event.metaKey,
-  })
+function loadPttSettings() {
+  const p = readConfig().ptt
+  _pttSettings = sanitizePttSettings(p && typeof p === 'object' ? p : {}, _pttSettings)
+}
 
-  for (const [id, kb] of registeredKeybinds) {
-    if (kb.keycode === keycode) {
-      const modMatch =
-        kb.modifiers.ctrl === event.ctrlKey &&
-        kb.modifiers.alt === event.altKey &&
-        kb.modifiers.shift === event.shiftKey &&
-        kb.modifiers.meta === event.metaKey
-      if (modMatch) {
-        mainWindow.webContents.send('global-keybind-triggered', { id, type })
-      }
-    }
+function sanitizePttSettings(patch, base) {
+  const delay = Math.trunc(Number(patch.releaseDelay))
+  return {
+    mode: PTT_MODES.includes(patch.mode) ? patch.mode : base.mode,
+    releaseDelay: Number.isFinite(delay) ? Math.min(2000, Math.max(0, delay)) : base.releaseDelay,
+    beeps: typeof patch.beeps === 'boolean' ? patch.beeps : base.beeps,
   }
 }
 
-function handleMouseEvent(event, type) {
-  if (!hookStarted || !isWindowReady()) return
-  mainWindow.webContents.send('global-mouse-event', { type, button: event.button })
-  for (const [id, kb] of registeredKeybinds) {
-    if (kb.mouseButton === event.button) {
-      mainWindow.webContents.send('global-keybind-triggered', {
-        id,
-        type: type === 'mousedown' ? 'keydown' : 'keyup',
-      })
-    }
+function setPttSettings(patch) {
+  if (!patch || typeof patch !== 'object') return { ..._pttSettings }
+  const prevMode = _pttSettings.mode
+  _pttSettings = sanitizePttSettings(patch, _pttSettings)
+  saveConfig({ ptt: { ..._pttSettings } })
+  // A latched toggle must not stay on after switching to hold
+  if (_pttSettings.mode !== prevMode) releaseAllPtt()
+  rebuildTrayMenu()
+  sendToAllServers('ptt-settings-changed', { ..._pttSettings })
+  return { ..._pttSettings }
+}
+
+function setPttActive(entry, kb, active) {
+  clearTimeout(kb.releaseTimer)
+  kb.releaseTimer = null
+  if (kb.pttActive === active) return
+  kb.pttActive = active
+  // Desktop PTT talks to whichever server is on screen
+  const target = entry === desktopKeybinds ? getActiveServerEntry() : entry
+  if (entry === desktopKeybinds) {
+    sendToServer(target, 'desktop-keybind-action', { action: 'ptt', active })
+  } else {
+    sendToServer(entry, 'global-keybind-triggered', { id: kb.id, type: active ? 'keydown' : 'keyup', ptt: true })
+    sendToServer(entry, 'ptt-state-changed', { id: kb.id, active })
   }
+  if (_pttSettings.beeps) playSound(active ? 'ptt-on' : 'ptt-off', target)
 }
 
-let _startHookPromise = null
-async function startHook() {
-  if (hookStarted) return true
-  // Prevent concurrent start calls from double-registering listeners
-  if (_startHookPromise) return _startHookPromise
+function handlePttInput(entry, kb, type) {
+  const { mode, releaseDelay } = _pttSettings
+  if (mode === 'toggle') {
+    if (type === 'keydown') setPttActive(entry, kb, !kb.pttActive)
+    return
+  }
+  if (type === 'keydown') { setPttActive(entry, kb, true); return }
+  if (mode === 'hold-delay' && releaseDelay > 0 && kb.pttActive) {
+    clearTimeout(kb.releaseTimer)
+    kb.releaseTimer = setTimeout(() => setPttActive(entry, kb, false), releaseDelay)
+    return
+  }
+  setPttActive(entry, kb, false)
+}
+
+// Turn every active PTT off and tell its page — used when the hook stops or
+// the mode changes, so nothing stays transmitting.
+function releaseAllPtt() {
+  for (const entry of getKeybindOwners()) {
+    for (const kb of entry.keybinds.values()) {
+      kb.down = false
+      if (kb.ptt) setPttActive(entry, kb, false)
+    }
+  }
+}
+
+// Forget a bind without notifying its page (the page is unregistering it or is gone)
+function disposeKeybind(kb) {
+  clearTimeout(kb.releaseTimer)
+  kb.releaseTimer = null
+  clearTimeout(kb.seqTimer)
+  kb.seqTimer = null
+}
+
+function clearKeybinds(entry) {
+  for (const kb of entry.keybinds.values()) disposeKeybind(kb)
+  entry.keybinds.clear()
+}
+
+// Main owns the pressed state: a bind fires keydown once per physical press
+// (key repeat is ignored) and keyup only if it went down.
+function triggerKeybind(entry, kb, type) {
+  if (type === 'keydown') {
+    if (kb.down) return
+    kb.down = true
+  } else {
+    if (!kb.down) return
+    kb.down = false
+  }
+  if (kb.ptt) handlePttInput(entry, kb, type)
+  else if (entry === desktopKeybinds) { if (type === 'keydown') runDesktopAction(kb.action) }
+  else sendToServer(entry, 'global-keybind-triggered', { id: kb.id, type })
+}
+
+function getKeybindOwners() {
+  return [desktopKeybinds, ...serverViews.values()]
+}
+
+// ── Keybind registry ──────────────────────────────────────────────────────────
+// globalShortcut accelerators and uiohook binds are separate systems, so both
+// are described in one shape here to list them together and find collisions.
+// Failures resolve to { success: false, error, ... } with error one of:
+//   invalid     — options or accelerator could not be parsed
+//   limit       — the page already holds the maximum number of binds
+//   conflict    — conflicts: [{ source, binding, id | server | action }]
+//   unavailable — the OS or another application owns the accelerator
+
+const keybindError = (error, extra) => ({ success: false, error, ...extra })
+
+// Who holds a bind, from the point of view of the asking server: its own binds
+// by id, other servers' by name only — their ids belong to that server's page.
+function describeBindingOwner(requester, owner, id) {
+  if (owner === desktopKeybinds) return { action: id.slice('desktop:'.length) }
+  if (owner === requester) return { id }
+  return { server: owner?.profile.name ?? null }
+}
+
+// uiohook binds the input would also fire, plus globalShortcut accelerators for
+// the same key combination
+function findKeybindConflicts(entry, kb) {
+  const conflicts = []
+  for (const other of getKeybindOwners()) {
+    for (const existing of other.keybinds.values()) {
+      if (other === entry && existing.id === kb.id) continue
+      if (!keybindsOverlap(kb, existing)) continue
+      conflicts.push({
+        source: other === desktopKeybinds ? 'desktop' : 'uiohook',
+        binding: formatKeybind(existing, keycodeToKeyName),
+        ...describeBindingOwner(entry, other, existing.id),
+      })
+    }
+  }
+  for (const shortcut of registeredShortcuts.values()) {
+    const asKeybind = acceleratorToKeybind(shortcut.combo, getKeycodeMap())
+    if (!asKeybind || !keybindsOverlap(kb, asKeybind)) continue
+    conflicts.push({
+      source: 'globalShortcut',
+      binding: shortcut.combo.combo,
+      ...describeBindingOwner(entry, serverViews.get(shortcut.profileId), shortcut.id),
+    })
+  }
+  return conflicts
+}
+
+// Everything that would collide with an accelerator for this server's id.
+// Re-registering the same id on the same combination is an update.
+function findShortcutConflicts(entry, id, parsed) {
+  const conflicts = []
+  for (const shortcut of registeredShortcuts.values()) {
+    if (shortcut.combo.combo !== parsed.combo) continue
+    if (shortcut.profileId === entry.profile.id && shortcut.id === id) continue
+    conflicts.push({
+      source: 'globalShortcut',
+      binding: shortcut.combo.combo,
+      ...describeBindingOwner(entry, serverViews.get(shortcut.profileId), shortcut.id),
+    })
+  }
+  const asKeybind = acceleratorToKeybind(parsed, getKeycodeMap())
+  if (asKeybind) conflicts.push(...findKeybindConflicts(entry, { ...asKeybind, id: null }).filter(c => c.source !== 'globalShortcut'))
+  return conflicts
+}
+
+// Registers the OS-level accelerator for a registeredShortcuts entry
+function bindShortcut(accelerator, shortcut) {
+  const ok = globalShortcut.register(accelerator, () => {
+    sendToServer(serverViews.get(shortcut.profileId), 'global-shortcut-triggered', shortcut.id)
+  })
+  if (ok) registeredShortcuts.set(accelerator, shortcut)
+  return ok
+}
+
+// Returns the removed [accelerator, shortcut] pairs so they can be put back
+function unregisterShortcutCombo(combo) {
+  const removed = []
+  for (const [accelerator, shortcut] of registeredShortcuts) {
+    if (shortcut.combo.combo !== combo) continue
+    try { globalShortcut.unregister(accelerator) } catch {}
+    registeredShortcuts.delete(accelerator)
+    removed.push([accelerator, shortcut])
+  }
+  return removed
+}
+
+// Claims an accelerator for a server page. globalShortcut only allows one
+// owner, so an accelerator another server holds is refused unless force: true
+// takes it over; a page may always replace its own. Resolves a boolean;
+// detailed: true opts into { success, error, conflicts } and also refuses
+// inputs a key hook bind or desktop keybind uses.
+function registerShortcut(entry, { accelerator, id, detailed, force } = {}) {
+  detailed = detailed === true
+  const fail = (error, extra) => (detailed ? keybindError(error, extra) : false)
+  if (typeof accelerator !== 'string' || !accelerator || accelerator.length > 64) return fail('invalid')
+  if (typeof id !== 'string' || !id || id.length > 128) return fail('invalid')
+  const parsed = parseAccelerator(accelerator)
+  if (!parsed) return fail('invalid')
+  const replacing = [...registeredShortcuts.values()].some(s => s.combo.combo === parsed.combo)
+  if (registeredShortcuts.size >= 32 && !replacing) return fail('limit')
+  if (force !== true) {
+    const conflicts = findShortcutConflicts(entry, id, parsed)
+    const refused = detailed ? conflicts : conflicts.filter(c => c.source === 'globalShortcut' && c.server)
+    if (refused.length) return fail('conflict', { conflicts })
+  }
+  let removed = []
+  let error = 'unavailable'
+  try {
+    removed = unregisterShortcutCombo(parsed.combo)
+    if (bindShortcut(accelerator, { id, profileId: entry.profile.id, combo: parsed })) {
+      return detailed ? { success: true } : true
+    }
+  } catch { error = 'invalid' }
+  // The OS or another app owns it after all — give the previous owner its
+  // accelerator back rather than leaving it unbound
+  for (const [previous, shortcut] of removed) {
+    try { bindShortcut(previous, shortcut) } catch {}
+  }
+  return fail(error)
+}
+
+// Would this bind be accepted? Accelerators are briefly registered to ask the
+// OS, since globalShortcut cannot otherwise tell whether another app owns one.
+function checkKeybind(entry, options) {
+  if (!options || typeof options !== 'object') return keybindError('invalid')
+  if (options.accelerator !== undefined) {
+    if (typeof options.accelerator !== 'string' || options.accelerator.length > 64) return keybindError('invalid')
+    const parsed = parseAccelerator(options.accelerator)
+    if (!parsed) return keybindError('invalid')
+    const conflicts = findShortcutConflicts(entry, options.id, parsed)
+    if (conflicts.length) return keybindError('conflict', { conflicts })
+    const ours = [...registeredShortcuts.values()].some(s => s.combo.combo === parsed.combo)
+    if (!ours) {
+      try {
+        if (!globalShortcut.register(options.accelerator, () => {})) return keybindError('unavailable')
+        globalShortcut.unregister(options.accelerator)
+      } catch { return keybindError('invalid') }
+    }
+    return { success: true }
+  }
+  const kb = parseKeybindOptions({ ...options, id: typeof options.id === 'string' && options.id ? options.id : '\0check' })
+  if (!kb) return keybindError('invalid')
+  const conflicts = findKeybindConflicts(entry, kb)
+  return conflicts.length ? keybindError('conflict', { conflicts }) : { success: true }
+}
+
+// Every active binding, from the point of view of one server page
+function listKeybinds(entry) {
+  const list = []
+  for (const owner of getKeybindOwners()) {
+    for (const kb of owner.keybinds.values()) {
+      list.push({
+        source: owner === desktopKeybinds ? 'desktop' : 'uiohook',
+        binding: formatKeybind(kb, keycodeToKeyName),
+        ...describeBindingOwner(entry, owner, kb.id),
+        ...(kb.ptt ? { ptt: true } : {}),
+      })
+    }
+  }
+  for (const [accelerator, shortcut] of registeredShortcuts) {
+    const owner = serverViews.get(shortcut.profileId)
+    list.push({
+      source: 'globalShortcut',
+      binding: shortcut.combo.combo,
+      ...describeBindingOwner(entry, owner, shortcut.id),
+      ...(owner === entry ? { accelerator } : {}),
+    })
+  }
+  return list
+}
+
+function modifiersMatch(kb, event, required = kb.modifiers) {
+  const pressed = describeModifiers(event)
+  return kb.ignoreExtraModifiers ? modsSubset(required, pressed) : modsEqual(required, pressed)
+}
+
+// Advance a leader sequence on a fresh (non-repeat) keydown. Returns true when
+// the final step was just pressed.
+function advanceSequence(kb, event) {
+  const matches = step => step.keycode === event.keycode && modifiersMatch(kb, event, step.modifiers)
+  clearTimeout(kb.seqTimer)
+  kb.seqTimer = null
+  if (matches(kb.steps[kb.seqIndex])) kb.seqIndex++
+  // A wrong key restarts the sequence — it may itself be the first step
+  else kb.seqIndex = matches(kb.steps[0]) ? 1 : 0
+  if (kb.seqIndex === kb.steps.length) {
+    kb.seqIndex = 0
+    return true
+  }
+  if (kb.seqIndex > 0) kb.seqTimer = setTimeout(() => { kb.seqIndex = 0; kb.seqTimer = null }, kb.sequenceTimeout)
+  return false
+}
+
+function matchKeyEvent(entry, kb, event, type, repeat) {
+  const { keycode } = event
+  // Release must not depend on modifiers — letting go of Ctrl before the
+  // key would otherwise leave the bind stuck down.
+  if (type === 'keyup') {
+    if (kb.keycode === keycode || kb.keycodes?.includes(keycode) || (kb.steps && kb.activeKeycode === keycode)) {
+      triggerKeybind(entry, kb, 'keyup')
+    }
+    return
+  }
+  if (kb.keycodes) {
+    // Fires as the last chord key goes down while the rest are still held
+    if (kb.keycodes.includes(keycode) && kb.keycodes.every(k => _heldKeycodes.has(k)) && modifiersMatch(kb, event)) {
+      triggerKeybind(entry, kb, 'keydown')
+    }
+  } else if (kb.steps) {
+    // Modifier presses are part of a step, not steps of their own
+    if (repeat || getModifierKeycodes().has(keycode)) return
+    if (advanceSequence(kb, event)) {
+      kb.activeKeycode = keycode
+      triggerKeybind(entry, kb, 'keydown')
+    }
+  } else if (kb.keycode === keycode && modifiersMatch(kb, event)) {
+    triggerKeybind(entry, kb, 'keydown')
+  }
+}
+
+// ── Key capture ───────────────────────────────────────────────────────────────
+// The keybind settings UI asks for "the next key the user presses". Only the
+// requesting page gets raw events, only until a key is captured or the
+// timeout runs out, and the tray shows an indicator for the whole time.
+
+function getModifierKeycodes() {
+  if (!UiohookKey) return new Set()
+  return new Set(['Shift', 'ShiftRight', 'Ctrl', 'CtrlRight', 'Alt', 'AltRight', 'Meta', 'MetaRight']
+    .map(k => UiohookKey[k]))
+}
+
+// owner is the server entry (or desktopKeybinds) asking; contents receives
+// the raw events while the capture runs. A capture another owner started is
+// left alone — the new request resolves null instead of cancelling it.
+function startKeyCapture(owner, contents, { timeoutMs = 10_000, mouse = false } = {}) {
+  if (_keyCapture && _keyCapture.owner !== owner) return Promise.resolve(null)
+  finishKeyCapture(null)
+  const ms = Math.min(30_000, Math.max(1000, Math.trunc(Number(timeoutMs)) || 10_000))
+  return new Promise(resolve => {
+    _keyCapture = {
+      owner,
+      contents,
+      resolve,
+      mouse: Boolean(mouse),
+      pending: null,
+      timer: setTimeout(() => finishKeyCapture(null), ms),
+    }
+    updateTrayIcon()
+  })
+}
+
+function finishKeyCapture(result) {
+  if (!_keyCapture) return
+  const { resolve, timer } = _keyCapture
+  clearTimeout(timer)
+  _keyCapture = null
+  updateTrayIcon()
+  resolve(result)
+}
+
+const describeModifiers = event => ({
+  ctrl: Boolean(event.ctrlKey),
+  alt: Boolean(event.altKey),
+  shift: Boolean(event.shiftKey),
+  meta: Boolean(event.metaKey),
+})
+
+const describeKeyEvent = (event, keyName) => ({ keycode: event.keycode, keyName, ...describeModifiers(event) })
+
+// A modifier on its own is only captured once it is released without another
+// key in between, so Ctrl+K is captured as K with ctrl rather than as Ctrl.
+function captureKeyEvent(event, type, keyName) {
+  const isModifier = getModifierKeycodes().has(event.keycode)
+  if (type === 'keydown') {
+    if (!isModifier) finishKeyCapture(describeKeyEvent(event, keyName))
+    else if (!_keyCapture.pending) _keyCapture.pending = describeKeyEvent(event, keyName)
+  } else if (_keyCapture.pending?.keycode === event.keycode) {
+    finishKeyCapture(_keyCapture.pending)
+  }
+}
+
+// Raw key/mouse events go to the capturing page only; keybind triggers go to
+// whichever server registered the bind, so a background server's PTT still works.
+function sendRawHookEvent(channel, payload) {
+  if (!_keyCapture) return
+  try { if (!_keyCapture.contents.isDestroyed()) _keyCapture.contents.send(channel, payload) } catch {}
+}
+
+function handleKeyEvent(event, type) {
+  // Guard: don't fire if hook has been stopped or window is gone
+  if (!hookStarted || !isWindowReady()) return
+  const { keycode } = event
+  const keyName = keycodeToKeyName(keycode)
+  const repeat = type === 'keydown' && _heldKeycodes.has(keycode)
+  if (type === 'keydown') _heldKeycodes.add(keycode)
+  else _heldKeycodes.delete(keycode)
+
+  sendRawHookEvent('global-key-event', {
+    type, keycode, keyName, repeat,
+    altKey: event.altKey, ctrlKey: event.ctrlKey,
+    shiftKey: event.shiftKey, metaKey: event.metaKey,
+  })
+  if (_keyCapture && !repeat) captureKeyEvent(event, type, keyName)
+
+  for (const entry of getKeybindOwners()) {
+    for (const kb of entry.keybinds.values()) matchKeyEvent(entry, kb, event, type, repeat)
+  }
+}
+
+function handleMouseEvent(event, type) {
+  if (!hookStarted || !isWindowReady()) return
+  sendRawHookEvent('global-mouse-event', {
+    type, button: event.button,
+    altKey: event.altKey, ctrlKey: event.ctrlKey,
+    shiftKey: event.shiftKey, metaKey: event.metaKey,
+  })
+  // Left and right clicks drive the settings UI itself, so never capture them
+  if (_keyCapture?.mouse && type === 'mousedown' && event.button > 2) {
+    finishKeyCapture({ mouseButton: event.button, ...describeModifiers(event) })
+  }
+  for (const entry of getKeybindOwners()) {
+    for (const kb of entry.keybinds.values()) {
+      if (kb.mouseButton !== event.button) continue
+      // Same rule as keys: modifiers must match to press, never to release
+      if (type === 'mouseup') triggerKeybind(entry, kb, 'keyup')
+      else if (modifiersMatch(kb, event)) triggerKeybind(entry, kb, 'keydown')
+    }
+  }
+}
+
+// Wheel notches have no press/release, so a bound wheel direction fires a
+// keydown immediately followed by a keyup.
+function getWheelDirection(event) {
+  if (!event.rotation) return null
+  if (event.direction === 4) return event.rotation < 0 ? 'left' : 'right'
+  return event.rotation < 0 ? 'up' : 'down'
+}
+
+function handleWheelEvent(event) {
+  if (!hookStarted || !isWindowReady()) return
+  const wheel = getWheelDirection(event)
+  if (!wheel) return
+  sendRawHookEvent('global-mouse-event', {
+    type: 'wheel', wheel,
+    altKey: event.altKey, ctrlKey: event.ctrlKey,
+    shiftKey: event.shiftKey, metaKey: event.metaKey,
+  })
+  if (_keyCapture?.mouse) finishKeyCapture({ wheel, ...describeModifiers(event) })
+  for (const entry of getKeybindOwners()) {
+    for (const kb of entry.keybinds.values()) {
+      if (kb.wheel !== wheel || !modifiersMatch(kb, event)) continue
+      triggerKeybind(entry, kb, 'keydown')
+      triggerKeybind(entry, kb, 'keyup')
+    }
+  }
+}
+
+// ── Desktop keybinds ──────────────────────────────────────────────────────────
+
+function parseDesktopKeybind(action, options) {
+  const kb = parseKeybindOptions({ ...options, id: `desktop:${action}`, ptt: action === 'ptt' })
+  if (kb) kb.action = action
+  return kb
+}
+
+function loadDesktopKeybinds() {
+  const stored = readConfig().desktopKeybinds
+  desktopKeybinds.keybinds.clear()
+  if (!stored || typeof stored !== 'object') return
+  for (const action of Object.keys(DESKTOP_ACTIONS)) {
+    const kb = stored[action] && typeof stored[action] === 'object' ? parseDesktopKeybind(action, stored[action]) : null
+    if (kb) desktopKeybinds.keybinds.set(kb.id, kb)
+  }
+}
+
+function saveDesktopKeybinds() {
+  const out = {}
+  for (const kb of desktopKeybinds.keybinds.values()) out[kb.action] = keybindToOptions(kb)
+  saveConfig({ desktopKeybinds: out })
+}
+
+function getDesktopKeybindList() {
+  return Object.entries(DESKTOP_ACTIONS).map(([action, label]) => {
+    const kb = desktopKeybinds.keybinds.get(`desktop:${action}`)
+    return { action, label, binding: kb ? formatKeybind(kb, keycodeToKeyName) : null }
+  })
+}
+
+// Pages learn which actions the desktop handles so they can skip their own
+// binds for them; the Keybinds window just redraws.
+function broadcastDesktopKeybinds() {
+  const list = getDesktopKeybindList()
+  sendToAllServers('desktop-keybinds', list)
+  if (keybindSettingsWindow && !keybindSettingsWindow.isDestroyed()) {
+    keybindSettingsWindow.webContents.send('keybind-settings-changed', list)
+  }
+}
+
+function setDesktopKeybind(action, options, force = false) {
+  if (!DESKTOP_ACTIONS[action] || !options || typeof options !== 'object') return keybindError('invalid')
+  const kb = parseDesktopKeybind(action, options)
+  if (!kb) return keybindError('invalid')
+  const conflicts = findKeybindConflicts(desktopKeybinds, kb)
+  if (conflicts.length && !force) return keybindError('conflict', { conflicts })
+  const previous = desktopKeybinds.keybinds.get(kb.id)
+  if (previous) {
+    if (previous.pttActive) setPttActive(desktopKeybinds, previous, false)
+    disposeKeybind(previous)
+  }
+  desktopKeybinds.keybinds.set(kb.id, kb)
+  saveDesktopKeybinds()
+  broadcastDesktopKeybinds()
+  startHook().catch(() => {})
+  return { success: true }
+}
+
+function clearDesktopKeybind(action) {
+  const kb = desktopKeybinds.keybinds.get(`desktop:${action}`)
+  if (!kb) return false
+  if (kb.pttActive) setPttActive(desktopKeybinds, kb, false)
+  disposeKeybind(kb)
+  desktopKeybinds.keybinds.delete(kb.id)
+  saveDesktopKeybinds()
+  broadcastDesktopKeybinds()
+  return true
+}
+
+// Window show/hide and screenshots are handled here so they work with the
+// server offline; everything else is for the visible server's page.
+function runDesktopAction(action) {
+  if (action === 'toggle-window') { toggleMainWindow(); return }
+  if (action === 'screenshot') {
+    startScreenshot().catch(err => console.error('[Screenshot] capture failed:', err))
+    return
+  }
+  sendToActiveServer('desktop-keybind-action', { action })
+}
+
+let _startHookPromise = null
+async function startHook() {
+  if (hookStarted) return true
+  // Prevent concurrent start calls from double-registering listeners
+  if (_startHookPromise) return _startHookPromise
   _startHookPromise = (async () => {
     try {
     const mod = require('uiohook-napi')
@@ -345,12 +1902,15 @@ async function startHook() {
     uIOhook.on('keyup', e => handleKeyEvent(e, 'keyup'))
     uIOhook.on('mousedown', e => handleMouseEvent(e, 'mousedown'))
     uIOhook.on('mouseup', e => handleMouseEvent(e, 'mouseup'))
+    uIOhook.on('wheel', e => handleWheelEvent(e))
     uIOhook.on('error', err => {
       console.error('[KeyHook] Runtime error:', err)
       // Mirror stopHook cleanup so stale listeners don't fire on a future restart
       hookStarted = false
       try { uIOhook.removeAllListeners() } catch {}
       try { uIOhook.stop() } catch {}
+      _heldKeycodes.clear()
+      releaseAllPtt()
     })
     uIOhook.start()
     hookStarted = true // Only set after successful start so is-running reports accurately
@@ -379,12 +1939,18 @@ function stopHook() {
   hookStarted = false
   try { uIOhook.removeAllListeners() } catch {}
   try { uIOhook.stop() } catch {}
+  // No keyups will arrive any more — release whatever was held
+  _heldKeycodes.clear()
+  releaseAllPtt()
+  finishKeyCapture(null)
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 // File download helper
 // ─────────────────────────────────────────────────────────────────────────────
-function downloadToFile(url, destPath, redirects = 0) {
+// onProgress(received, total) is called as chunks arrive; total is 0 when the
+// server sends no Content-Length.
+function downloadToFile(url, destPath, { onProgress } = {}, redirects = 0) {
   return new Promise((resolve, reject) => {
     if (redirects > 10) { reject(new Error('Too many redirects')); return }
     // Validate protocol here too — redirect Location headers are untrusted
@@ -406,8 +1972,10 @@ function downloadToFile(url, destPath, redirects = 0) {
     const cleanup = () => fs.unlink(destPath, () => {})
 
     const req = protocol.get(url, response => {
-      if (response.statusCode === 301 || response.statusCode === 302) {
-        const location = response.headers.location
+      if ([301, 302, 303, 307, 308].includes(response.statusCode)) {
+        // Location may be relative — resolve it against the URL that sent it
+        let location = null
+        try { location = new URL(response.headers.location, url).href } catch {}
         if (!location) { cleanup(); settle(reject, new Error('Redirect without Location')); return }
         // Remove the file error listener first — no window where the listener
         // is still attached but cleanup() could race the recursive open.
@@ -420,7 +1988,7 @@ function downloadToFile(url, destPath, redirects = 0) {
         try { req.destroy() } catch {}
         file.close(closeErr => {
           if (closeErr) { cleanup(); reject(closeErr); return }
-          downloadToFile(location, destPath, redirects + 1).then(resolve).catch(reject)
+          downloadToFile(location, destPath, { onProgress }, redirects + 1).then(resolve).catch(reject)
         })
         return
       }
@@ -430,7 +1998,8 @@ function downloadToFile(url, destPath, redirects = 0) {
       // Manually write chunks (no pipe) so the 512 MB cap is enforced before
       // any data reaches disk — pipe buffers make post-hoc unpipe unreliable.
       let bytesReceived = 0
-      const MAX_BYTES = 512 * 1024 * 1024
+      const MAX_BYTES = MAX_DOWNLOAD_BYTES
+      const totalBytes = Number(response.headers['content-length']) || 0
       response.on('data', chunk => {
         if (settled) return
         bytesReceived += chunk.length
@@ -440,6 +2009,7 @@ function downloadToFile(url, destPath, redirects = 0) {
           try { response.destroy() } catch {}
           return
         }
+        if (onProgress) try { onProgress(bytesReceived, totalBytes) } catch {}
         // Handle backpressure — pause the network stream when the disk write buffer is full
         const ok = file.write(chunk)
         if (!ok) {
@@ -459,6 +2029,346 @@ function downloadToFile(url, destPath, redirects = 0) {
   })
 }
 
+// Sanitize a suggested name to a filename only — prevents a renderer from
+// pre-seeding the dialog to overwrite sensitive system files via an absolute path.
+// ASCII-only allowlist — strips Unicode homoglyphs, RTLO, and other confusables.
+// Also reject pure-dot names (e.g. "..") which some dialogs treat as directory refs.
+function sanitizeFileName(name) {
+  const rawName = path.basename(String(name ?? 'download')).replace(/[^A-Za-z0-9 .\-_]/g, '_')
+  return (rawName && !/^\.+$/.test(rawName)) ? rawName : 'download'
+}
+
+// Ask where to save, then download through the page's own session so
+// attachments that need the user's cookies work. Shared by the download-file
+// IPC and the context menu's "Save Image As…".
+async function saveUrlAs(contents, url, defaultPath) {
+  try {
+    const win = getWindowForContents(contents)
+    if (!win || !contents || contents.isDestroyed()) return { success: false, error: 'No window' }
+    const parsed = new URL(url)
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return { success: false, error: 'Invalid URL protocol' }
+    }
+    const result = await dialog.showSaveDialog(win, { defaultPath: sanitizeFileName(defaultPath) })
+    if (result.canceled || !result.filePath) return { success: false }
+    return await startSessionDownload(contents, parsed.href, result.filePath)
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
+
+// Resolves when the download finishes. The save path is handed over in
+// will-download, which Chromium fires once the response headers arrive.
+function startSessionDownload(contents, url, savePath) {
+  return new Promise(resolve => {
+    if (_pendingDownloadTargets.length >= 20) { resolve({ success: false, error: 'Too many downloads' }); return }
+    const target = { url, savePath, resolve, timeout: null }
+    // Don't leave the caller hanging if Chromium never turns this into a download
+    target.timeout = setTimeout(() => {
+      const idx = _pendingDownloadTargets.indexOf(target)
+      if (idx !== -1) _pendingDownloadTargets.splice(idx, 1)
+      resolve({ success: false, error: 'Download did not start' })
+    }, 60_000)
+    _pendingDownloadTargets.push(target)
+    try { contents.downloadURL(url) } catch (err) {
+      clearTimeout(target.timeout)
+      _pendingDownloadTargets.splice(_pendingDownloadTargets.indexOf(target), 1)
+      resolve({ success: false, error: err.message })
+    }
+  })
+}
+
+function emitDownloadProgress(dl, state) {
+  const { item } = dl
+  const now = Date.now()
+  // Throttle in-flight updates; always deliver state changes
+  if (state === 'progressing' && dl.lastState === state && now - dl.lastEmit < 250) return
+  dl.lastEmit = now
+  dl.lastState = state
+  let savePath = null
+  try { savePath = item.getSavePath() || null } catch {}
+  sendToServer(serverViews.get(dl.profileId), 'download-progress', {
+    id: dl.id,
+    url: dl.url,
+    fileName: savePath ? path.basename(savePath) : dl.fileName,
+    state,
+    received: item.getReceivedBytes(),
+    total: item.getTotalBytes(),
+    canResume: state === 'paused' || state === 'interrupted' ? item.canResume() : false,
+    ...(dl.error ? { error: dl.error } : {}),
+  })
+}
+
+function handleWillDownload(item, profileId) {
+  const url = item.getURL()
+  const firstUrl = item.getURLChain()[0] ?? url
+  const idx = _pendingDownloadTargets.findIndex(t => t.url === firstUrl || t.url === url)
+  const target = idx === -1 ? null : _pendingDownloadTargets.splice(idx, 1)[0]
+  const fileName = sanitizeFileName(item.getFilename())
+  if (target) {
+    clearTimeout(target.timeout)
+    item.setSavePath(target.savePath)
+  } else {
+    // Page-initiated download (e.g. <a download>) — Chromium shows its own save
+    // dialog; make sure the suggested name goes through the same sanitisation.
+    item.setSaveDialogOptions({ defaultPath: fileName })
+  }
+  const tooLarge = 'Response too large (>512 MB)'
+  if (item.getTotalBytes() > MAX_DOWNLOAD_BYTES) {
+    item.cancel()
+    target?.resolve({ success: false, error: tooLarge })
+    return
+  }
+  const id = `dl-${crypto.randomUUID()}`
+  const dl = { id, item, profileId, url, fileName, lastEmit: 0, lastState: null, error: null }
+  activeDownloads.set(id, dl)
+  rebuildTrayMenu()
+  item.on('updated', (_e, state) => {
+    // Content-Length can be missing or wrong — enforce the cap on actual bytes too
+    if (item.getReceivedBytes() > MAX_DOWNLOAD_BYTES) {
+      dl.error = tooLarge
+      item.cancel()
+      return
+    }
+    emitDownloadProgress(dl, state === 'progressing' && item.isPaused() ? 'paused' : state)
+  })
+  item.once('done', (_e, state) => {
+    activeDownloads.delete(id)
+    let savePath = null
+    try { savePath = item.getSavePath() || null } catch {}
+    if (state === 'completed' && savePath) {
+      finishedDownloads.unshift({ id, fileName: path.basename(savePath), path: savePath })
+      if (finishedDownloads.length > 10) finishedDownloads.length = 10
+    }
+    emitDownloadProgress(dl, dl.error ? 'interrupted' : state)
+    rebuildTrayMenu()
+    if (!target) return
+    if (state === 'completed') target.resolve({ success: true, path: savePath })
+    else target.resolve({ success: false, error: dl.error ?? (state === 'cancelled' ? 'Cancelled' : 'Download interrupted') })
+  })
+}
+
+function getOwnedDownload(event, id) {
+  const dl = typeof id === 'string' ? activeDownloads.get(id) : null
+  // A server may only control its own downloads
+  if (!dl || dl.profileId !== getServerEntryForContents(event.sender)?.profile.id) return null
+  return dl
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Auto-updater
+// ─────────────────────────────────────────────────────────────────────────────
+// Reads either the GitHub releases API or a self-hosted feed with the same
+// shape ({ releases: [{ version, prerelease, notes, assets: [{ name, url }] }] })
+// for air-gapped teams. Every artifact must match a SHA256SUMS entry; when a
+// public key is configured, SHA256SUMS must also carry a valid signature.
+function loadUpdateSettings() {
+  const cfg = readConfig()
+  return {
+    channel: UPDATE_CHANNELS.includes(cfg.updateChannel) ? cfg.updateChannel : 'stable',
+    feedUrl: typeof cfg.updateFeedUrl === 'string' && isValidServerUrl(cfg.updateFeedUrl) ? cfg.updateFeedUrl : null,
+    publicKey: typeof cfg.updatePublicKey === 'string' && cfg.updatePublicKey.includes('PUBLIC KEY')
+      ? cfg.updatePublicKey : null,
+    autoCheck: cfg.updateAutoCheck !== false,
+  }
+}
+
+function setUpdateChannel(channel) {
+  if (!UPDATE_CHANNELS.includes(channel)) return
+  saveConfig({ updateChannel: channel })
+  rebuildTrayMenu()
+  // A different channel may have a different latest release
+  if (_updateState !== 'downloading') checkForUpdates().catch(() => {})
+}
+
+function emitUpdaterEvent(payload) {
+  sendToAllServers('updater-event', payload)
+}
+
+// Fetch a small feed/checksum file with a size cap so a hostile feed can't
+// balloon memory.
+async function fetchUpdateResource(url, maxBytes) {
+  const res = await net.fetch(url, {
+    headers: { Accept: 'application/vnd.github+json, application/json;q=0.9, */*;q=0.8' },
+    signal: AbortSignal.timeout(30_000),
+  })
+  if (!res.ok) throw new Error(`HTTP ${res.status}`)
+  const buf = Buffer.from(await res.arrayBuffer())
+  if (buf.length > maxBytes) throw new Error('Update resource too large')
+  return buf
+}
+
+async function resolveUpdateChecksum(release, asset, settings, insecureTransport) {
+  const sumsAsset = release.assets.find(a => /^SHA256SUMS(\.txt)?$/i.test(a.name))
+  if (settings.publicKey || insecureTransport) {
+    // Over plain http the checksum file is only trustworthy if it is signed
+    if (!settings.publicKey) throw new Error('Plain-http update feeds require updatePublicKey')
+    if (!sumsAsset) throw new Error('Release has no SHA256SUMS file')
+    const sigAsset = release.assets.find(a => a.name.toLowerCase() === `${sumsAsset.name.toLowerCase()}.sig`)
+    if (!sigAsset) throw new Error('Release has no SHA256SUMS signature')
+    const sums = await fetchUpdateResource(sumsAsset.url, 1024 * 1024)
+    const sigRaw = await fetchUpdateResource(sigAsset.url, 64 * 1024)
+    if (!verifyChecksumSignature(sums, sigRaw, settings.publicKey)) throw new Error('SHA256SUMS signature is invalid')
+    return parseChecksumFile(sums, asset.name)
+  }
+  // Unsigned: the checksum comes from the same release as the artifact, so this
+  // only catches corrupted downloads — whoever can change one can change both
+  if (sumsAsset) return parseChecksumFile(await fetchUpdateResource(sumsAsset.url, 1024 * 1024), asset.name)
+  if (asset.sha256) return asset.sha256
+  throw new Error('Release publishes no checksum for this artifact')
+}
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256')
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')))
+  })
+}
+
+async function fetchLatestRelease(settings) {
+  const feedUrl = settings.feedUrl ?? UPDATE_GITHUB_RELEASES_URL
+  const raw = JSON.parse((await fetchUpdateResource(feedUrl, 5 * 1024 * 1024)).toString('utf8'))
+  const fromGitHub = !settings.feedUrl
+  const list = fromGitHub ? raw : raw?.releases
+  if (!Array.isArray(list)) throw new Error('Malformed update feed')
+  let latest = null
+  for (const r of list.slice(0, 100)) {
+    const release = normalizeRelease(r, fromGitHub)
+    if (!release) continue
+    // Stable users never see prereleases; beta users get whichever is newest
+    if (release.prerelease && settings.channel !== 'beta') continue
+    if (!latest || compareVersions(release.version, latest.version) > 0) latest = release
+  }
+  return latest
+}
+
+async function downloadUpdate(release, asset, settings) {
+  const insecure = [settings.feedUrl, asset.url].some(u => u && new URL(u).protocol === 'http:')
+  const expected = await resolveUpdateChecksum(release, asset, settings, insecure)
+  const dir = path.join(app.getPath('userData'), 'updates')
+  fs.mkdirSync(dir, { recursive: true })
+  // Leftovers from interrupted downloads can go; a verified artifact stays until
+  // the new one has passed verification, since it may still be installed
+  for (const f of fs.readdirSync(dir)) {
+    if (f.endsWith('.part')) try { fs.unlinkSync(path.join(dir, f)) } catch {}
+  }
+  const safeName = asset.name.replace(/[^A-Za-z0-9 .\-_]/g, '_')
+  const filePath = path.join(dir, safeName)
+  const partPath = `${filePath}.part`
+  _updateState = 'downloading'
+  let lastEmit = 0
+  try {
+    await downloadToFile(asset.url, partPath, {
+      onProgress: (transferred, total) => {
+        // Throttle to ~4 events/s so a fast link doesn't flood the renderer
+        const now = Date.now()
+        if (now - lastEmit < 250 && transferred !== total) return
+        lastEmit = now
+        emitUpdaterEvent({
+          type: 'progress',
+          version: release.version,
+          transferred,
+          total,
+          percent: total ? Math.min(100, Math.round(transferred / total * 100)) : null,
+        })
+      },
+    })
+    const actual = await sha256File(partPath)
+    if (actual !== expected) throw new Error('Downloaded update failed checksum verification')
+  } catch (err) {
+    try { fs.unlinkSync(partPath) } catch {}
+    throw err
+  }
+  // Verified — now artifacts from earlier versions can be cleared so the folder
+  // doesn't grow forever
+  for (const f of fs.readdirSync(dir)) {
+    if (f !== path.basename(partPath)) try { fs.unlinkSync(path.join(dir, f)) } catch {}
+  }
+  fs.renameSync(partPath, filePath)
+  return filePath
+}
+
+function checkForUpdates() {
+  if (_updateCheckPromise) return _updateCheckPromise
+  _updateCheckPromise = (async () => {
+    const settings = loadUpdateSettings()
+    const prevState = _updateState
+    try {
+      emitUpdaterEvent({ type: 'checking' })
+      const release = await fetchLatestRelease(settings)
+      if (!release || compareVersions(release.version, app.getVersion()) <= 0) {
+        emitUpdaterEvent({ type: 'not-available', version: app.getVersion() })
+        return { updateAvailable: false, version: null }
+      }
+      // Already downloaded and verified — nothing more to do until restart
+      if (_updateInfo?.version === release.version) {
+        emitUpdaterEvent({ type: 'downloaded', version: release.version, installMode: _updateInfo.kind })
+        return { updateAvailable: true, version: release.version }
+      }
+      const asset = selectUpdateAsset(release.assets)
+      if (!asset) throw new Error('No update artifact for this platform')
+      emitUpdaterEvent({ type: 'available', version: release.version, notes: release.notes })
+      const filePath = await downloadUpdate(release, asset, settings)
+      _updateInfo = { version: release.version, filePath, kind: asset.kind }
+      _updateState = 'ready'
+      rebuildTrayMenu()
+      emitUpdaterEvent({ type: 'downloaded', version: release.version, installMode: asset.kind })
+      return { updateAvailable: true, version: release.version }
+    } catch (err) {
+      _updateState = prevState === 'ready' ? 'ready' : 'idle'
+      console.error('[Updater] Check failed:', err.message)
+      emitUpdaterEvent({ type: 'error', message: err.message })
+      return { updateAvailable: false, version: null, error: err.message }
+    } finally {
+      _updateCheckPromise = null
+    }
+  })()
+  return _updateCheckPromise
+}
+
+function scheduleUpdateChecks() {
+  clearInterval(_updateTimer)
+  // Unpackaged builds can't replace themselves — don't nag developers
+  if (!app.isPackaged || !loadUpdateSettings().autoCheck) return
+  setTimeout(() => checkForUpdates().catch(() => {}), 15_000)
+  _updateTimer = setInterval(() => checkForUpdates().catch(() => {}), 6 * 60 * 60 * 1000)
+}
+
+function quitAndInstallUpdate() {
+  _relaunchAfterUpdate = true
+  isQuitting = true
+  app.quit()
+}
+
+// Apply a downloaded update. Called from will-quit so the installer runs once
+// our process is on its way out; relaunch restarts the app afterwards.
+function applyDownloadedUpdate(relaunch) {
+  if (!_updateInfo || _updateState !== 'ready') return
+  const { filePath, kind } = _updateInfo
+  _updateState = 'idle'
+  try {
+    if (kind === 'nsis') {
+      // /S = silent; --updated/--force-run are electron-builder NSIS switches
+      const args = ['/S', '--updated', ...(relaunch ? ['--force-run'] : [])]
+      spawn(filePath, args, { detached: true, stdio: 'ignore' }).unref()
+    } else if (kind === 'appimage' && process.env.APPIMAGE) {
+      // Rename over the running image — the old inode stays valid until we exit
+      const target = process.env.APPIMAGE
+      const staged = `${target}.update`
+      fs.copyFileSync(filePath, staged)
+      fs.chmodSync(staged, 0o755)
+      fs.renameSync(staged, target)
+      try { fs.unlinkSync(filePath) } catch {}
+      if (relaunch) app.relaunch({ execPath: target })
+    }
+  } catch (err) {
+    console.error('[Updater] Install failed:', err)
+  }
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // IPC handlers
 // ─────────────────────────────────────────────────────────────────────────────
@@ -466,7 +2376,7 @@ function registerIpcHandlers() {
   // Desktop info
   ipcMain.handle('get-desktop-info', () => ({
     version: app.getVersion(),
-    channel: 'stable',
+    channel: loadUpdateSettings().channel,
     arch: process.arch,
     hardwareArch: os.arch(),
     runningUnderRosetta: false,
@@ -501,82 +2411,218 @@ function registerIpcHandlers() {
   // Clipboard
   ipcMain.handle('clipboard-write-text', (_e, text) => clipboard.writeText(String(text ?? '').slice(0, 1_000_000)))
   ipcMain.handle('clipboard-read-text', () => { try { return clipboard.readText() } catch { return '' } })
+  // A PNG/JPEG data URL, or an http(s) URL fetched with the page's login
+  ipcMain.handle('clipboard-write-image', async (event, source) => {
+    let image = imageFromDataUrl(source)
+    if (!image && typeof source === 'string' && /^https?:/i.test(source)) {
+      const entry = getServerEntryForContents(event.sender)
+      if (!entry) return false
+      try { image = await fetchClipboardImage(entry, source) } catch { image = null }
+    }
+    if (!image) return false
+    clipboard.writeImage(image)
+    return true
+  })
+  ipcMain.handle('clipboard-read-image', () => { try { return readClipboardImage() } catch { return null } })
+  // Copied files are only handed over right after the user pastes into the
+  // focused page, and each paste allows a single read
+  ipcMain.handle('clipboard-read-files', async event => {
+    const entry = getServerEntryForContents(event.sender)
+    if (!entry || !event.sender.isFocused()) return []
+    if (Date.now() - entry.lastPasteAt > CLIPBOARD_PASTE_GRANT_MS) return []
+    entry.lastPasteAt = 0
+    try { return await readClipboardFiles() } catch { return [] }
+  })
+
+  // Screenshot tool — only its own window may hand back the finished image
+  const fromScreenshotWindow = event =>
+    screenshotWindow && !screenshotWindow.isDestroyed() && event.sender.id === screenshotWindow.webContents.id
+  ipcMain.handle('screenshot-image', event => (fromScreenshotWindow(event) ? _screenshotImage : null))
+  ipcMain.on('screenshot-finish', (event, { action, dataUrl } = {}) => {
+    if (fromScreenshotWindow(event)) finishScreenshot(action, dataUrl)
+  })
+  ipcMain.on('screenshot-cancel', event => {
+    if (fromScreenshotWindow(event)) finishScreenshot(null)
+  })
 
   // Deep links
-  ipcMain.handle('get-initial-deep-link', () => null)
+  // Consumed once so a later reload doesn't replay the same invite
+  ipcMain.handle('get-initial-deep-link', event => {
+    const entry = getServerEntryForContents(event.sender)
+    if (!entry) return null
+    const link = entry.initialDeepLink
+    entry.initialDeepLink = null
+    return link
+  })
 
   // ── Screen sharing ──────────────────────────────────────────────────────────
-  ipcMain.handle('get-desktop-sources', async (_e, types) => {
+  // Accepts the old types array or { types, thumbnailSize, fetchWindowIcons }
+  ipcMain.handle('get-desktop-sources', async (event, options) => {
+    // The page is running its own picker — don't open ours on top of it
+    const profileId = getServerEntryForContents(event.sender)?.profile.id
+    for (const req of pendingDisplayRequests.values()) {
+      if (req.profileId === profileId) clearTimeout(req.fallbackTimer)
+    }
     try {
-      const VALID_TYPES = ['screen', 'window']
-      const safeTypes = Array.isArray(types)
-        ? types.filter(t => VALID_TYPES.includes(t))
-        : []
-      const sources = await desktopCapturer.getSources({
-        types: safeTypes.length ? safeTypes : VALID_TYPES,
-        thumbnailSize: { width: 320, height: 180 },
-      })
-      cachedSources.clear()
-      for (const s of sources) cachedSources.set(s.id, s)
-      return sources.map(s => ({
-        id: s.id,
-        name: s.name,
-        thumbnail: s.thumbnail.toDataURL(),
-        display_id: s.display_id ?? '',
-      }))
+      return await listDesktopSources(sanitizeSourceOptions(options))
     } catch (err) {
       console.error('[DesktopCapturer] getSources failed:', err)
       return []
     }
   })
+  // Fresh thumbnails every few seconds while the page's picker is open — only
+  // while a getDisplayMedia() request is waiting, so nothing polls in the background
+  ipcMain.handle('desktop-sources-subscribe', (event, options) => {
+    const entry = getServerEntryForContents(event.sender)
+    if (!entry || !hasPendingDisplayRequest(entry.profile.id)) return false
+    startSourceSubscription(entry, options)
+    return true
+  })
+  ipcMain.handle('desktop-sources-unsubscribe', event => {
+    const entry = getServerEntryForContents(event.sender)
+    if (!entry) return false
+    stopSourceSubscription(entry)
+    return true
+  })
 
-  ipcMain.on('select-display-media-source', (_e, requestId, sourceId, withAudio) => {
+  ipcMain.on('select-display-media-source', (event, requestId, sourceId, withAudio, remember) => {
     try {
       if (typeof requestId !== 'string') return
       const req = pendingDisplayRequests.get(requestId)
+      // Only the server that triggered the request may answer it
+      if (req && req.profileId !== getServerEntryForContents(event.sender)?.profile.id) return
       if (!req) {
         // Unknown requestId — clear stale cache to avoid memory leak
         cachedSources.clear()
         return
       }
-      clearTimeout(req.timeout)
-      pendingDisplayRequests.delete(requestId)
-
-      if (!sourceId) {
-        cachedSources.clear()
-        req.callback({ video: null })
-        return
-      }
-
-      const source = cachedSources.get(sourceId)
+      const source = sourceId ? cachedSources.get(sourceId) : null
       cachedSources.clear()
-      req.callback(source
-        ? { video: source, ...(withAudio && { audio: 'loopback' }) }
-        : { video: null }
-      )
+      if (source && remember === true) rememberDisplaySource(req.profileId, source, withAudio === true)
+      answerDisplayRequest(requestId, source, withAudio)
     } catch (err) {
       console.error('[DisplayMedia] select handler error:', err)
     }
   })
 
-  // ── Global shortcuts ────────────────────────────────────────────────────────
-  ipcMain.handle('register-global-shortcut', (_e, { accelerator, id }) => {
-    if (!accelerator || !id) return false
-    if (typeof accelerator !== 'string' || accelerator.length > 64) return false
-    if (typeof id !== 'string' || id.length > 128) return false
-    if (registeredShortcuts.size >= 32 && !registeredShortcuts.has(accelerator)) return false
+  // Built-in picker window — each picker answers only its own request
+  const getPickerRequest = event => {
+    for (const [requestId, req] of pendingDisplayRequests) {
+      if (req.picker && !req.picker.isDestroyed() && req.picker.webContents.id === event.sender.id) return [requestId, req]
+    }
+    return [null, null]
+  }
+  ipcMain.handle('display-picker-sources', async event => {
+    const [, req] = getPickerRequest(event)
+    if (!req) return null
     try {
-      if (registeredShortcuts.has(accelerator)) globalShortcut.unregister(accelerator)
-      const ok = globalShortcut.register(accelerator, () => {
-        if (isWindowReady()) mainWindow.webContents.send('global-shortcut-triggered', id)
+      const sources = await desktopCapturer.getSources({
+        types: ['screen', 'window'],
+        thumbnailSize: { width: 320, height: 180 },
+        fetchWindowIcons: true,
       })
-      if (ok) registeredShortcuts.set(accelerator, id)
-      return ok
-    } catch { return false }
+      const all = withRegionSources(sources)
+      req.pickerSources = new Map(all.map(s => [s.id, s]))
+      return {
+        server: serverViews.get(req.profileId)?.profile.name ?? '',
+        audio: DISPLAY_AUDIO_SUPPORTED,
+        sources: all.map(s => ({
+          id: s.id,
+          name: s.name,
+          type: s.id.startsWith('window:') ? 'window' : (s.id.startsWith('region:') ? 'region' : 'screen'),
+          thumbnail: s.thumbnail.toDataURL(),
+          icon: s.appIcon && !s.appIcon.isEmpty() ? s.appIcon.toDataURL() : null,
+        })),
+      }
+    } catch (err) {
+      console.error('[DisplayMedia] picker getSources failed:', err)
+      return { server: '', audio: false, sources: [] }
+    }
+  })
+  ipcMain.on('display-picker-select', (event, sourceId, withAudio, remember) => {
+    const [requestId, req] = getPickerRequest(event)
+    if (!req) return
+    const source = typeof sourceId === 'string' ? req.pickerSources?.get(sourceId) : null
+    if (source && remember === true) rememberDisplaySource(req.profileId, source, withAudio === true)
+    answerDisplayRequest(requestId, source, withAudio === true)
+  })
+  ipcMain.on('display-picker-cancel', event => {
+    const [requestId] = getPickerRequest(event)
+    if (requestId) settleDisplayRequest(requestId, { video: null })
+  })
+
+  // Active shares — the page reports when it stops; the indicator can stop one
+  ipcMain.handle('screen-shares-get', event => {
+    const entry = getServerEntryForContents(event.sender)
+    if (!entry) return []
+    return [...activeShares.values()]
+      .filter(share => share.profileId === entry.profile.id)
+      .map(({ id, name, type, audio }) => ({ id, name, type, audio }))
+  })
+  ipcMain.on('screen-share-stopped', (event, id) => {
+    const entry = getServerEntryForContents(event.sender)
+    if (!entry) return
+    for (const share of [...activeShares.values()]) {
+      if (share.profileId !== entry.profile.id) continue
+      // No id means every share this page started
+      if (id === undefined || id === null || share.id === id) endShareSession(share.id, false)
+    }
+  })
+  const getIndicatorShare = event =>
+    [...activeShares.values()].find(share =>
+      share.indicator && !share.indicator.isDestroyed() && share.indicator.webContents.id === event.sender.id) ?? null
+  ipcMain.handle('share-indicator-info', event => {
+    const share = getIndicatorShare(event)
+    return share ? { name: share.name, region: Boolean(share.crop), state: shareStopState(share) } : null
+  })
+  ipcMain.on('share-indicator-stop', event => {
+    const share = getIndicatorShare(event)
+    if (share) requestShareStop(share.id)
+  })
+  ipcMain.on('share-indicator-adjust', event => {
+    const share = getIndicatorShare(event)
+    if (share?.crop) adjustSharedRegion(share.id)
+  })
+
+  // Region sharing — the overlay reports the drawn rectangle, the crop window
+  // reports whether its capture started
+  ipcMain.handle('region-overlay-info', event =>
+    (_regionOverlay?.win.webContents.id === event.sender.id ? { rect: _regionOverlay.initial } : null))
+  ipcMain.on('region-overlay-done', (event, rect) => {
+    if (_regionOverlay?.win.webContents.id !== event.sender.id) return
+    finishRegionOverlay(sanitizeRegionRect(rect, _regionOverlay.display))
+  })
+  ipcMain.on('region-overlay-cancel', event => {
+    if (_regionOverlay?.win.webContents.id === event.sender.id) finishRegionOverlay(null)
+  })
+  ipcMain.handle('region-crop-config', event => {
+    const crop = findRegionCrop(event.sender)
+    return crop ? getRegionCropConfig(crop) : null
+  })
+  ipcMain.on('region-crop-status', (event, ok) => {
+    const crop = findRegionCrop(event.sender)
+    if (crop?.onStatus) crop.onStatus(ok === true)
+  })
+
+  // ── Global shortcuts ────────────────────────────────────────────────────────
+  ipcMain.handle('register-global-shortcut', (event, options) => {
+    const entry = getServerEntryForContents(event.sender)
+    if (!entry) return options?.detailed === true ? keybindError('invalid') : false
+    return registerShortcut(entry, options ?? {})
   })
-  ipcMain.handle('unregister-global-shortcut', (_e, accelerator) => {
+  ipcMain.handle('keybinds-list', event => {
+    const entry = getServerEntryForContents(event.sender)
+    return entry ? listKeybinds(entry) : []
+  })
+  ipcMain.handle('keybinds-check', (event, options) => {
+    const entry = getServerEntryForContents(event.sender)
+    return entry ? checkKeybind(entry, options) : keybindError('invalid')
+  })
+  ipcMain.handle('unregister-global-shortcut', (event, accelerator) => {
+    const entry = getServerEntryForContents(event.sender)
     try {
-      if (registeredShortcuts.has(accelerator)) {
+      // A server may only remove shortcuts it registered itself
+      if (entry && registeredShortcuts.get(accelerator)?.profileId === entry.profile.id) {
         globalShortcut.unregister(accelerator)
         registeredShortcuts.delete(accelerator)
         return true
@@ -584,8 +2630,17 @@ function registerIpcHandlers() {
       return false
     } catch { return false }
   })
-  ipcMain.handle('unregister-all-global-shortcuts', () => {
-    try { globalShortcut.unregisterAll(); registeredShortcuts.clear(); return true } catch { return false }
+  ipcMain.handle('unregister-all-global-shortcuts', event => {
+    const entry = getServerEntryForContents(event.sender)
+    if (!entry) return false
+    try {
+      for (const [accelerator, owner] of registeredShortcuts) {
+        if (owner.profileId !== entry.profile.id) continue
+        globalShortcut.unregister(accelerator)
+        registeredShortcuts.delete(accelerator)
+      }
+      return true
+    } catch { return false }
   })
 
   // ── Autostart ───────────────────────────────────────────────────────────────
@@ -618,28 +2673,39 @@ function registerIpcHandlers() {
   ipcMain.handle('open-input-monitoring-settings', () => {})
 
   // ── App badge ───────────────────────────────────────────────────────────────
-  // Debounce rapid-fire badge updates (e.g. per-message increments) to avoid
-  // flooding the OS taskbar overlay with high-frequency writes.
-  ipcMain.on('set-badge-count', (_e, count) => {
-    clearTimeout(_badgeDebounceTimer)
-    _badgeDebounceTimer = setTimeout(() => {
-      try { const n = Math.max(0, Math.trunc(Number(count ?? 0))); app.badgeCount = isFinite(n) ? n : 0 } catch {}
-    }, 50)
-  })
-  ipcMain.handle('get-badge-count', () => { try { return app.badgeCount ?? 0 } catch { return 0 } })
-  ipcMain.handle('bounce-dock', () => -1) // async now — no more sendSync
-  ipcMain.on('cancel-bounce-dock', () => {})
+  // Each server reports its own unread count; the OS badge shows the sum.
+  ipcMain.on('set-badge-count', (event, count) => {
+    const entry = getServerEntryForContents(event.sender)
+    if (!entry) return
+    // -1 marks unread mentions without a count (drawn as a dot)
+    const n = Math.max(-1, Math.trunc(Number(count ?? 0)))
+    entry.badgeCount = isFinite(n) ? Math.min(n, 1_000_000) : 0
+    updateBadgeCount()
+  })
+  ipcMain.handle('get-badge-count', event => getServerEntryForContents(event.sender)?.badgeCount ?? 0)
+  ipcMain.handle('bounce-dock', (event, type) => {
+    const entry = getServerEntryForContents(event.sender)
+    if (!entry) return -1
+    return requestAttention(type === 'critical' ? 'critical' : 'informational', entry.profile.id)
+  })
+  ipcMain.on('cancel-bounce-dock', (event, id) => {
+    const entry = getServerEntryForContents(event.sender)
+    // Only the page that asked for attention can cancel it
+    if (entry && attentionRequests.get(id)?.profileId === entry.profile.id) cancelAttention(id)
+  })
 
   // ── Zoom ─────────────────────────────────────────────────────────────────────
   const zoomFilePath = path.join(app.getPath('userData'), 'zoom.json')
+  // Operate on event.sender directly — server pages live in WebContentsViews,
+  // which BrowserWindow.fromWebContents does not resolve to their own contents.
   ipcMain.on('set-zoom-factor', (event, factor) => {
     try {
-      const win = BrowserWindow.fromWebContents(event.sender)
+      const contents = event.sender
       const clamped = Math.min(3.0, Math.max(0.5, Number(factor)))
-      if (win && !win.isDestroyed() && isFinite(clamped)) {
-        win.webContents.setZoomFactor(clamped)
-        // Only persist zoom from the main window — popups should not overwrite it
-        if (win === mainWindow) {
+      if (!contents.isDestroyed() && isFinite(clamped)) {
+        contents.setZoomFactor(clamped)
+        // Only persist zoom from server views — popups should not overwrite it
+        if (getServerEntryForContents(contents)) {
           try { fs.writeFileSync(zoomFilePath, JSON.stringify({ factor: clamped })) } catch {}
         }
       }
@@ -647,7 +2713,7 @@ function registerIpcHandlers() {
   })
   ipcMain.handle('get-zoom-factor', event => {
     try {
-      const f = BrowserWindow.fromWebContents(event.sender)?.webContents.getZoomFactor() ?? 1
+      const f = event.sender.getZoomFactor() ?? 1
       return isFinite(f) ? f : 1
     } catch { return 1 }
   })
@@ -655,102 +2721,67 @@ function registerIpcHandlers() {
   // ── Devtools ────────────────────────────────────────────────────────────────
   ipcMain.on('toggle-devtools', event => {
     try {
-      const win = BrowserWindow.fromWebContents(event.sender)
-      if (win && !win.isDestroyed()) {
-        win.webContents.isDevToolsOpened()
-          ? win.webContents.closeDevTools()
-          : win.webContents.openDevTools()
+      const contents = event.sender
+      if (!contents.isDestroyed()) {
+        contents.isDevToolsOpened()
+          ? contents.closeDevTools()
+          : contents.openDevTools()
       }
     } catch {}
   })
 
   // ── File download ───────────────────────────────────────────────────────────
-  ipcMain.handle('download-file', async (event, { url, defaultPath }) => {
-    try {
-      const win = BrowserWindow.fromWebContents(event.sender)
-      if (!win) return { success: false, error: 'No window' }
-      const parsed = new URL(url)
-      if (!['http:', 'https:'].includes(parsed.protocol)) {
-        return { success: false, error: 'Invalid URL protocol' }
-      }
-      // Sanitize defaultPath to a filename only — prevents renderer from pre-seeding
-      // the dialog to overwrite sensitive system files via an absolute path.
-      // ASCII-only allowlist — strips Unicode homoglyphs, RTLO, and other confusables.
-      // Also reject pure-dot names (e.g. "..") which some dialogs treat as directory refs.
-      const rawName = path.basename(String(defaultPath ?? 'download')).replace(/[^A-Za-z0-9 .\-_]/g, '_')
-      const safeName = (rawName && !/^\.+$/.test(rawName)) ? rawName : 'download'
-      const result = await dialog.showSaveDialog(win, { defaultPath: safeName })
-      if (result.canceled || !result.filePath) return { success: false }
-      await downloadToFile(url, result.filePath)
-      return { success: true, path: result.filePath }
-    } catch (err) {
-      return { success: false, error: err.message }
-    }
+  ipcMain.handle('download-file', (event, { url, defaultPath } = {}) =>
+    saveUrlAs(event.sender, url, defaultPath))
+  ipcMain.handle('downloads-list', event => {
+    const profileId = getServerEntryForContents(event.sender)?.profile.id
+    return [...activeDownloads.values()].filter(dl => dl.profileId === profileId).map(dl => ({
+      id: dl.id,
+      url: dl.url,
+      fileName: dl.fileName,
+      state: dl.item.isPaused() ? 'paused' : dl.item.getState(),
+      received: dl.item.getReceivedBytes(),
+      total: dl.item.getTotalBytes(),
+    }))
+  })
+  ipcMain.handle('download-cancel', (event, id) => {
+    const dl = getOwnedDownload(event, id)
+    if (!dl) return false
+    try { dl.item.cancel(); return true } catch { return false }
+  })
+  ipcMain.handle('download-pause', (event, id) => {
+    const dl = getOwnedDownload(event, id)
+    if (!dl) return false
+    try { dl.item.pause(); emitDownloadProgress(dl, 'paused'); return true } catch { return false }
+  })
+  ipcMain.handle('download-resume', (event, id) => {
+    const dl = getOwnedDownload(event, id)
+    if (!dl || !dl.item.canResume()) return false
+    try { dl.item.resume(); return true } catch { return false }
   })
 
   // ── Notifications ───────────────────────────────────────────────────────────
-  ipcMain.handle('show-notification', async (_e, options) => {
+  ipcMain.handle('show-notification', async (event, options) => {
     if (activeNotifications.size >= 50) return { id: null }
+    if (!options || typeof options !== 'object') return { id: null }
+    // Clicks are routed back to the server that raised the notification
+    const profileId = getServerEntryForContents(event.sender)?.profile.id ?? activeProfileId
     const id = `n-${crypto.randomUUID()}`
     if (!Notification.isSupported()) return { id }
-    try {
-      let url = null
-      if (typeof options.url === 'string') {
-        try {
-          const p = new URL(options.url)
-          if (['http:', 'https:', 'mailto:'].includes(p.protocol)) url = options.url
-        } catch {}
-      }
-      // Convert data URI to NativeImage — Notification.icon expects a NativeImage
-      // or file path, not a raw data URI. Also validates through Electron's image
-      // pipeline and caps size to prevent DoS via large icon payloads.
-      let notifIcon
-      if (options.icon && typeof options.icon === 'string' &&
-          (options.icon.startsWith('data:image/png;base64,') || options.icon.startsWith('data:image/jpeg;base64,')) &&
-          options.icon.length <= 2 * 1024 * 1024) {
-        try { notifIcon = nativeImage.createFromDataURL(options.icon) } catch {}
+    if (shouldSuppressNotification(options)) {
+      // Keep only what is replayed, trimmed as it will be shown. Icons (up to
+      // 2 MB each) are dropped so a long quiet period can't pile them up.
+      if (_dndSettings.queue && queuedNotifications.length < 100) {
+        queuedNotifications.push({ id, profileId, options: trimQueuedNotification(options) })
       }
-      const n = new Notification({
-        title: String(options.title ?? 'Notification').slice(0, 256),
-        body: String(options.body ?? '').slice(0, 1024),
-        // Suppress system sound when a custom sound is configured so we can
-        // play our own file instead. Honour options.silent unconditionally.
-        silent: Boolean(options.silent) || !!_notifSoundPath,
-        ...(notifIcon ? { icon: notifIcon } : {}),
-      })
-      // Auto-cleanup after 30s in case 'close' event never fires on this platform
-      const autoCleanTimeout = setTimeout(() => {
-        const entry = activeNotifications.get(id)
-        if (entry) {
-          try { entry.notification.close() } catch {}
-          activeNotifications.delete(id)
-        }
-      }, 30_000)
-      activeNotifications.set(id, { notification: n, url, autoCleanTimeout })
-      n.on('click', () => {
-        clearTimeout(autoCleanTimeout)
-        activeNotifications.delete(id)
-        if (isWindowReady()) {
-          mainWindow.show()
-          mainWindow.focus()
-          if (url) mainWindow.webContents.send('notification-click', id, url)
-        }
-      })
-      n.on('close', () => {
-        clearTimeout(autoCleanTimeout)
-        activeNotifications.delete(id)
-      })
-      n.show()
-      // Play custom sound after showing. Skip if the caller explicitly requested
-      // silence — that flag suppresses both the system sound AND our custom one.
-      if (!Boolean(options.silent)) playNotificationSound()
-    } catch (err) {
-      console.error('[Notification] Failed to show:', err)
+      return { id }
     }
+    showDesktopNotification(id, profileId, options)
     return { id }
   })
   ipcMain.on('close-notification', (_e, id) => {
     if (typeof id !== 'string') return
+    dropQueuedNotification(id)
     try {
       const entry = activeNotifications.get(id)
       if (entry) {
@@ -766,6 +2797,7 @@ function registerIpcHandlers() {
     for (let i = 0; i < limit; i++) {
       const id = ids[i]
       if (typeof id !== 'string') continue
+      dropQueuedNotification(id)
       try {
         const entry = activeNotifications.get(id)
         if (entry) {
@@ -777,200 +2809,1272 @@ function registerIpcHandlers() {
     }
   })
 
-  // ── Custom notification sound ────────────────────────────────────────────────
+  // ── Sounds ──────────────────────────────────────────────────────────────────
+  // The single-sound API predates the library and maps to the message sound
   ipcMain.handle('notification-sound-pick', async event => {
     const win = BrowserWindow.fromWebContents(event.sender)
-    return await pickNotificationSound(win)
+    return await pickSound('message', win)
+  })
+  ipcMain.handle('notification-sound-clear', () => clearSound('message'))
+  ipcMain.handle('notification-sound-get', () =>
+    _soundSettings.events.message ? path.basename(_soundSettings.events.message) : null)
+  ipcMain.handle('notification-sound-preview', () => { playSound('message'); return true })
+  ipcMain.on('sound-play', (event, name, opts) => {
+    if (!SOUND_EVENTS.includes(name)) return
+    const entry = getServerEntryForContents(event.sender)
+    if (entry) playSound(name, entry, { loop: name === 'call-ring' && Boolean(opts?.loop) })
+  })
+  ipcMain.handle('sounds-get-state', () => getSoundSettingsState())
+  ipcMain.handle('sound-settings-open', () => { showSoundSettingsWindow(); return true })
+  // Changing sounds is only accepted from the Sound Settings window
+  const fromSoundWindow = event =>
+    soundSettingsWindow && !soundSettingsWindow.isDestroyed() && event.sender.id === soundSettingsWindow.webContents.id
+  ipcMain.handle('sounds-pick', (event, key) =>
+    fromSoundWindow(event) ? pickSound(key, soundSettingsWindow) : { success: false })
+  ipcMain.handle('sounds-clear', (event, key) => fromSoundWindow(event) && clearSound(key))
+  ipcMain.handle('sounds-set-volume', (event, volume) => fromSoundWindow(event) && setSoundVolume(volume))
+  // Preview plays inside the settings window itself so it works with no server open
+  ipcMain.handle('sounds-preview', (event, key) => {
+    if (!fromSoundWindow(event) || !SOUND_EVENTS.includes(key)) return null
+    const resolved = resolveSoundKey(key)
+    const data = resolved ? getSoundData(resolved) : null
+    return data ? { dataUri: data.dataUri, volume: _soundSettings.volume } : null
   })
-  ipcMain.handle('notification-sound-clear', () => { clearNotificationSound(); return true })
-  ipcMain.handle('notification-sound-get', () => _notifSoundPath ? path.basename(_notifSoundPath) : null)
-  ipcMain.handle('notification-sound-preview', () => { playNotificationSound(); return true })
 
-  // ── Spellcheck stubs ────────────────────────────────────────────────────────
-  ipcMain.handle('spellcheck-get-state', () => ({ enabled: false, languages: [] }))
-  ipcMain.handle('spellcheck-set-state', () => ({ enabled: false, languages: [] }))
-  ipcMain.handle('spellcheck-get-available-languages', () => [])
-  ipcMain.handle('spellcheck-open-language-settings', () => false)
-  ipcMain.handle('spellcheck-replace-misspelling', () => {})
-  ipcMain.handle('spellcheck-add-word-to-dictionary', () => {})
-  ipcMain.on('spellcheck-context-target', () => {})
+  // ── Do Not Disturb ──────────────────────────────────────────────────────────
+  ipcMain.handle('dnd-get-state', () => getDndState())
+  ipcMain.handle('dnd-set-state', (event, state) =>
+    (getServerEntryForContents(event.sender) ? setDndState(state) : null))
+
+  // ── Spellcheck ──────────────────────────────────────────────────────────────
+  ipcMain.handle('spellcheck-get-state', () => getSpellcheckState())
+  // Only server pages may change it — not popups or other windows
+  ipcMain.handle('spellcheck-set-state', (event, state) =>
+    (getServerEntryForContents(event.sender) ? setSpellcheckState(state) : null))
+  ipcMain.handle('spellcheck-get-available-languages', () => getAvailableSpellcheckLanguages())
+  ipcMain.handle('spellcheck-open-language-settings', async () => {
+    // Only Windows and macOS have an OS language panel that drives spellcheck
+    const target = process.platform === 'win32'
+      ? 'ms-settings:regionlanguage'
+      : process.platform === 'darwin' ? 'x-apple.systempreferences:com.apple.preference.keyboard?Text' : null
+    if (!target) return false
+    try { await shell.openExternal(target); return true } catch { return false }
+  })
+  ipcMain.handle('spellcheck-replace-misspelling', (event, word) => {
+    if (typeof word !== 'string' || !word || word.length > 100) return false
+    if (!getServerEntryForContents(event.sender)) return false
+    try { event.sender.replaceMisspelling(word); return true } catch { return false }
+  })
+  ipcMain.handle('spellcheck-add-word-to-dictionary', (event, word) => {
+    if (typeof word !== 'string' || !word || word.length > 100 || /\s/.test(word)) return false
+    if (!getServerEntryForContents(event.sender)) return false
+    try { return event.sender.session.addWordToSpellCheckerDictionary(word) } catch { return false }
+  })
+  // The preload reports what was right-clicked just before Chromium raises its
+  // context-menu event; the view's context-menu handler pairs the two up.
+  ipcMain.on('spellcheck-context-target', (event, target) => {
+    const entry = getServerEntryForContents(event.sender)
+    if (!entry) return
+    entry.contextTarget = { isTextarea: Boolean(target?.isTextarea), at: Date.now() }
+  })
 
   // ── Passkey stubs ───────────────────────────────────────────────────────────
   ipcMain.handle('passkey-is-supported', () => false)
   ipcMain.handle('passkey-authenticate', () => { throw new Error('Passkey not supported') })
   ipcMain.handle('passkey-register', () => { throw new Error('Passkey not supported') })
 
-  // ── Updater stubs ───────────────────────────────────────────────────────────
-  ipcMain.handle('updater-check', () => ({ updateAvailable: false, version: null }))
-  ipcMain.handle('updater-install', () => ({ success: false, error: 'Not supported' }))
+  // ── Updater ─────────────────────────────────────────────────────────────────
+  ipcMain.handle('updater-check', () => checkForUpdates())
+  ipcMain.handle('updater-install', () => {
+    if (_updateState !== 'ready' || !_updateInfo) return { success: false, error: 'No update downloaded' }
+    if (_updateInfo.kind === 'manual') {
+      // .deb / .dmg — hand the verified package to the OS installer
+      shell.openPath(_updateInfo.filePath).catch(() => {})
+      return { success: true }
+    }
+    quitAndInstallUpdate()
+    return { success: true }
+  })
 
   // ── Global key hook (PTT + keybinds) ────────────────────────────────────────
   ipcMain.handle('global-key-hook-start', () => startHook())
-  ipcMain.handle('global-key-hook-stop', () => { stopHook(); return true })
+  // Desktop keybinds need the hook even when no page does
+  ipcMain.handle('global-key-hook-stop', () => {
+    if (!desktopKeybinds.keybinds.size) stopHook()
+    return true
+  })
   ipcMain.handle('global-key-hook-is-running', () => hookStarted)
   ipcMain.handle('check-input-monitoring-access', () => true)
-  ipcMain.handle('global-key-hook-register', (_e, options) => {
-    if (typeof options?.id !== 'string' || !options.id || options.id.length > 128) return false
-    if (registeredKeybinds.size >= 64 && !registeredKeybinds.has(options.id)) return false
-    // Distinguish "not provided" (undefined) from "provided as 0" (valid on some platforms)
-    const keycodeProvided = Number.isInteger(options.keycode) && options.keycode >= 0
-    const keycode = keycodeProvided ? options.keycode : 0
-    const mouseButton = Number.isInteger(options.mouseButton) &&
-      options.mouseButton >= 1 && options.mouseButton <= 5
-      ? options.mouseButton : undefined
-    // Require at least one trigger to be explicitly provided
-    if (!keycodeProvided && mouseButton === undefined) return false
-    registeredKeybinds.set(options.id, {
-      id: options.id,
-      keycode,
-      mouseButton,
-      modifiers: {
-        ctrl: Boolean(options.ctrl),
-        alt: Boolean(options.alt),
-        shift: Boolean(options.shift),
-        meta: Boolean(options.meta),
-      },
-    })
+  ipcMain.handle('global-key-hook-register', (event, options) => {
+    const entry = getServerEntryForContents(event.sender)
+    if (!entry) return false
+    const registeredKeybinds = entry.keybinds
+    // Resolves a boolean as it always has; detailed: true opts into
+    // { success, error, conflicts } and refuses a shared input unless forced
+    const detailed = options?.detailed === true
+    const fail = (error, extra) => (detailed ? keybindError(error, extra) : false)
+    const kb = parseKeybindOptions(options)
+    if (!kb) return fail('invalid')
+    if (registeredKeybinds.size >= 64 && !registeredKeybinds.has(kb.id)) return fail('limit')
+    // Re-registering the same id is an update; another bind on the same input
+    // still fires alongside it unless the caller asked to be told instead.
+    if (detailed && options.force !== true) {
+      const conflicts = findKeybindConflicts(entry, kb)
+      if (conflicts.length) return fail('conflict', { conflicts })
+    }
+    const previous = registeredKeybinds.get(kb.id)
+    if (previous) disposeKeybind(previous)
+    registeredKeybinds.set(kb.id, kb)
+    return detailed ? { success: true } : true
+  })
+  ipcMain.handle('global-key-hook-unregister', (event, id) => {
+    const entry = getServerEntryForContents(event.sender)
+    if (!entry) return false
+    const kb = entry.keybinds.get(id)
+    if (kb) disposeKeybind(kb)
+    entry.keybinds.delete(id)
+    return Boolean(kb) // Return boolean, consistent with unregister-all returning true
+  })
+  ipcMain.handle('global-key-hook-unregister-all', event => {
+    const entry = getServerEntryForContents(event.sender)
+    if (!entry) return false
+    clearKeybinds(entry)
+    return true
+  })
+  // Resolves with { keycode, keyName, ctrl, alt, shift, meta } or { mouseButton },
+  // or null on timeout/cancel
+  ipcMain.handle('global-key-hook-capture', async (event, options) => {
+    const entry = getServerEntryForContents(event.sender)
+    if (!entry || !(await startHook())) return null
+    return startKeyCapture(entry, event.sender, options ?? {})
+  })
+  ipcMain.handle('global-key-hook-capture-cancel', event => {
+    if (!_keyCapture || _keyCapture.owner !== getServerEntryForContents(event.sender)) return false
+    finishKeyCapture(null)
     return true
   })
-  ipcMain.handle('global-key-hook-unregister', (_e, id) => {
-    const existed = registeredKeybinds.has(id)
-    registeredKeybinds.delete(id)
-    return existed // Return boolean, consistent with unregister-all returning true
+  // ── Desktop keybinds ────────────────────────────────────────────────────────
+  ipcMain.handle('desktop-keybinds-get', () => getDesktopKeybindList())
+  ipcMain.handle('keybind-settings-open', () => { showKeybindSettingsWindow(); return true })
+  // Editing is only accepted from the Keybinds window itself
+  const fromKeybindWindow = event =>
+    keybindSettingsWindow && !keybindSettingsWindow.isDestroyed() &&
+    event.sender.id === keybindSettingsWindow.webContents.id
+  ipcMain.handle('keybind-settings-list', event => (fromKeybindWindow(event) ? getDesktopKeybindList() : []))
+  ipcMain.handle('keybind-settings-capture', async (event, options) => {
+    if (!fromKeybindWindow(event) || !(await startHook())) return null
+    return startKeyCapture(desktopKeybinds, event.sender, { timeoutMs: 10_000, mouse: options?.mouse === true })
+  })
+  ipcMain.handle('keybind-settings-capture-cancel', event => {
+    if (!fromKeybindWindow(event) || _keyCapture?.owner !== desktopKeybinds) return false
+    finishKeyCapture(null)
+    return true
   })
-  ipcMain.handle('global-key-hook-unregister-all', () => { registeredKeybinds.clear(); return true })
+  ipcMain.handle('keybind-settings-set', (event, { action, trigger, force } = {}) =>
+    fromKeybindWindow(event) ? setDesktopKeybind(action, trigger, force === true) : keybindError('invalid'))
+  ipcMain.handle('keybind-settings-clear', (event, action) => fromKeybindWindow(event) && clearDesktopKeybind(action))
+
+  ipcMain.handle('ptt-get-settings', () => ({ ..._pttSettings }))
+  ipcMain.handle('ptt-set-settings', (event, patch) =>
+    (getServerEntryForContents(event.sender) ? setPttSettings(patch) : null))
 
-  // ── Server URL config ───────────────────────────────────────────────────────
-  ipcMain.handle('config-get-server-url-current', () => appUrl || APP_URL)
+  // ── Server profiles ─────────────────────────────────────────────────────────
+  // Every profile-management call is only accepted from the server manager window
+  // itself — the remote web app must never be able to add or repoint servers.
+  const fromConfigWindow = event =>
+    configWindow && !configWindow.isDestroyed() && event.sender.id === configWindow.webContents.id
   ipcMain.handle('configure-server', () => showConfigWindow())
+  ipcMain.handle('config-list-servers', event => fromConfigWindow(event) ? listServerProfiles() : [])
   ipcMain.on('config-cancel-first-run', event => {
-    // Only accept from the config window itself, not from other renderers
-    if (!configWindow || event.sender.id !== configWindow.webContents.id) return
+    if (!fromConfigWindow(event)) return
     isQuitting = true; app.quit()
   })
   // Use handle so the renderer can await acknowledgement before closing its window
-  ipcMain.handle('config-set-server-url', (_e, url) => {
+  ipcMain.handle('config-add-server', (event, { name, url } = {}) => {
+    if (!fromConfigWindow(event)) return false
     try {
-      const p = new URL(url)
-      if (!['http:', 'https:'].includes(p.protocol)) return false
-      appUrl = url
-      saveServerUrl(url)
+      const firstRun = serverProfiles.length === 0
+      const profile = addServerProfile(name, url)
+      if (!profile) return false
+      if (!firstRun) return true
       // Destroy the config window immediately to prevent a second IPC call racing in
-      if (configWindow && !configWindow.isDestroyed()) {
-        try { configWindow.destroy() } catch {}
-        configWindow = null
-      }
-      if (isWindowReady()) {
-        // Reconfiguring an existing session — just reload
-        mainWindow.loadURL(appUrl)
-      } else {
-        // First run — main window doesn't exist yet, create it now
-        try {
-          createWindow()
-          createTray()
-        } catch (err) {
-          console.error('[Config] Failed to create window on first run:', err)
-          app.quit()
-        }
+      try { configWindow.destroy() } catch {}
+      configWindow = null
+      // First run — main window doesn't exist yet, create it now
+      try {
+        createWindow()
+        createTray()
+        flushPendingDeepLink()
+      } catch (err) {
+        console.error('[Config] Failed to create window on first run:', err)
+        app.quit()
       }
       return true
     } catch { return false }
   })
+  ipcMain.handle('config-update-server', (event, { id, name, url } = {}) => {
+    if (!fromConfigWindow(event) || typeof id !== 'string') return false
+    try { return updateServerProfile(id, name, url) } catch { return false }
+  })
+  ipcMain.handle('config-remove-server', (event, id) => {
+    if (!fromConfigWindow(event) || typeof id !== 'string') return false
+    try { return removeServerProfile(id) } catch { return false }
+  })
+  ipcMain.handle('config-move-server', (event, { id, delta } = {}) => {
+    if (!fromConfigWindow(event) || typeof id !== 'string') return false
+    try { return moveServerProfile(id, delta) } catch { return false }
+  })
+  ipcMain.handle('config-switch-server', (event, id) => {
+    if (!fromConfigWindow(event) || typeof id !== 'string') return false
+    try { return switchServerProfile(id) } catch { return false }
+  })
+
+  // ── Server rail ─────────────────────────────────────────────────────────────
+  // The rail is mainWindow's own webContents; ignore anything else sending these.
+  const fromRail = event => isWindowReady() && event.sender.id === mainWindow.webContents.id
+  ipcMain.on('rail-select-server', (event, id) => {
+    if (!fromRail(event) || typeof id !== 'string') return
+    if (id !== activeProfileId) switchServerProfile(id)
+  })
+  ipcMain.on('rail-manage-servers', event => {
+    if (fromRail(event)) showConfigWindow()
+  })
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Config window  (Manage Servers)
+// ─────────────────────────────────────────────────────────────────────────────
+function showConfigWindow(firstRun = false) {
+  if (configWindow && !configWindow.isDestroyed()) { configWindow.focus(); return }
+  configWindow = new BrowserWindow({
+    width: 520,
+    height: firstRun ? 320 : 480,
+    resizable: false,
+    title: firstRun ? `Welcome to ${APP_NAME}` : `${APP_NAME} — Manage Servers`,
+    autoHideMenuBar: true,
+    webPreferences: {
+      // No nodeIntegration — the config preload uses contextBridge to expose only
+      // the server-profile IPC calls this window needs.
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'config-preload.js'),
+    },
+  })
+  // firstRun is a boolean — JSON.stringify produces "true" or "false", never injectable
+  const firstRunJson = JSON.stringify(firstRun)
+  // Profiles are fetched from the main process at runtime and rendered with
+  // textContent — names and URLs are never interpolated into markup or script.
+  const html = `<!DOCTYPE html><html><head><meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'">
+<style>
+  body{background:#1a1a2e;color:#ccc;font-family:sans-serif;padding:24px;margin:0}
+  h2{margin:0 0 14px;color:#fff;font-size:16px}
+  .sub{font-size:12px;opacity:.55;margin:-10px 0 16px}
+  label{display:block;margin:10px 0 6px;font-size:13px;opacity:.8}
+  input{width:100%;padding:8px 10px;background:#2a2a4e;color:#fff;border:1px solid #444;
+        border-radius:5px;font-size:14px;box-sizing:border-box;outline:none}
+  input:focus{border-color:#7c3aed}
+  .row{display:flex;gap:8px;margin-top:14px}
+  button{flex:1;padding:9px 0;background:#7c3aed;color:#fff;border:none;
+         border-radius:5px;font-size:13px;cursor:pointer}
+  button:hover{background:#6d28d9}
+  .cancel{background:#333}.cancel:hover{background:#444}
+  .hint{font-size:11px;opacity:.5;margin-top:8px}
+  .err{font-size:12px;color:#e06c75;margin-top:6px;min-height:16px}
+  #list{max-height:190px;overflow-y:auto;margin-bottom:8px}
+  .srv{display:flex;align-items:center;gap:6px;padding:6px 8px;border-radius:5px;background:#22223e;margin-bottom:4px}
+  .srv.active{outline:1px solid #7c3aed}
+  .srv .info{flex:1;min-width:0}
+  .srv .name{color:#fff;font-size:13px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+  .srv .url{font-size:11px;opacity:.55;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+  .srv button{flex:none;padding:4px 8px;font-size:11px;background:#333}
+  .srv button:hover{background:#444}
+  .srv button.go{background:#7c3aed}
+</style></head><body>
+${firstRun
+  ? `<h2>Connect to a Fluxer Server</h2><p class="sub">Enter the address of your Fluxer instance to get started.</p>`
+  : `<h2>Servers</h2><div id="list"></div>`}
+<label id="formTitle">${firstRun ? 'Server URL' : 'Add a server'}</label>
+<input type="text" id="u" value="" placeholder="https://chat.example.com">
+<label>Name <span style="opacity:.5">(optional)</span></label>
+<input type="text" id="n" value="" maxlength="64" placeholder="My Community">
+<p class="hint">e.g. https://chat.example.com &nbsp;or&nbsp; http://192.168.1.10:3000</p>
+<p class="err" id="err"></p>
+<div class="row">
+  <button id="save" onclick="save()">${firstRun ? 'Connect' : 'Add Server'}</button>
+  <button class="cancel" id="cancel" onclick="cancel()">${firstRun ? 'Quit' : 'Close'}</button>
+</div>
+<script>
+const FIRST_RUN=${firstRunJson}
+const inp=document.getElementById('u')
+const nameInp=document.getElementById('n')
+const err=document.getElementById('err')
+let editingId=null
+function btn(label,cls,fn){const b=document.createElement('button');b.textContent=label;if(cls)b.className=cls;b.onclick=fn;return b}
+function render(servers){
+  const list=document.getElementById('list')
+  if(!list)return
+  list.textContent=''
+  servers.forEach((s,i)=>{
+    const row=document.createElement('div');row.className='srv'+(s.active?' active':'')
+    const info=document.createElement('div');info.className='info'
+    const n=document.createElement('div');n.className='name';n.textContent=s.name+(s.active?'  (current)':'')
+    const u=document.createElement('div');u.className='url';u.textContent=s.url
+    info.append(n,u);row.append(info)
+    if(i>0)row.append(btn('\\u2191','',()=>window.configApi.moveServer(s.id,-1).then(refresh)))
+    if(i<servers.length-1)row.append(btn('\\u2193','',()=>window.configApi.moveServer(s.id,1).then(refresh)))
+    row.append(btn('Edit','',()=>startEdit(s)))
+    if(servers.length>1)row.append(btn('Remove','',()=>window.configApi.removeServer(s.id).then(refresh)))
+    if(!s.active)row.append(btn('Switch','go',()=>window.configApi.switchServer(s.id).then(refresh)))
+    list.append(row)
+  })
+}
+function refresh(){return window.configApi.listServers().then(render)}
+function startEdit(s){
+  editingId=s.id;inp.value=s.url;nameInp.value=s.name;err.textContent=''
+  document.getElementById('formTitle').textContent='Edit server'
+  document.getElementById('save').textContent='Save Changes'
+  document.getElementById('cancel').textContent='Cancel Edit'
+  inp.focus()
+}
+function resetForm(){
+  editingId=null;inp.value='';nameInp.value='';err.textContent=''
+  document.getElementById('formTitle').textContent='Add a server'
+  document.getElementById('save').textContent='Add Server'
+  document.getElementById('cancel').textContent='Close'
+}
+async function save(){
+  const v=inp.value.trim()
+  if(!v){err.textContent='Please enter a URL.';return}
+  try{const p=new URL(v);if(!['http:','https:'].includes(p.protocol)){throw new Error()}}
+  catch{err.textContent='Must start with http:// or https://';return}
+  // Await acknowledgement from main so the IPC message is not lost on close
+  const ok=editingId
+    ? await window.configApi.updateServer(editingId,nameInp.value,v)
+    : await window.configApi.addServer(nameInp.value,v)
+  if(!ok){err.textContent='Could not save this server.';return}
+  if(FIRST_RUN){window.close();return}
+  resetForm();refresh()
+}
+function cancel(){
+  if(editingId){resetForm();return}
+  if(FIRST_RUN){window.configApi.cancelFirstRun()}
+  window.close()
+}
+window.configApi.onServersChanged(render)
+refresh()
+inp.addEventListener('keydown',e=>{if(e.key==='Enter')save()})
+nameInp.addEventListener('keydown',e=>{if(e.key==='Enter')save()})
+inp.focus()
+</script></body></html>`
+  // Block all navigation — will-navigate does not fire for the initial loadURL,
+  // only for page-initiated navigations, so blocking unconditionally is safe.
+  configWindow.webContents.on('will-navigate', event => {
+    event.preventDefault()
+  })
+  configWindow.webContents.setWindowOpenHandler(() => ({ action: 'deny' }))
+  configWindow.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(html))
+  configWindow.on('closed', () => {
+    configWindow = null
+    // If user closes the first-run window without saving, quit.
+    // Guard isQuitting to avoid a double-quit if cancel() already triggered it.
+    if (firstRun && !isWindowReady() && !isQuitting) { isQuitting = true; app.quit() }
+  })
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Sound settings window
+// ─────────────────────────────────────────────────────────────────────────────
+function showSoundSettingsWindow() {
+  if (soundSettingsWindow && !soundSettingsWindow.isDestroyed()) { soundSettingsWindow.focus(); return }
+  soundSettingsWindow = new BrowserWindow({
+    width: 520,
+    height: 440,
+    resizable: false,
+    title: `${APP_NAME} — Sound Settings`,
+    autoHideMenuBar: true,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'sound-settings-preload.js'),
+    },
+  })
+  soundSettingsWindow.webContents.on('will-navigate', event => {
+    event.preventDefault()
+  })
+  soundSettingsWindow.webContents.setWindowOpenHandler(() => ({ action: 'deny' }))
+  // Sound names come from the main process at runtime and are rendered with
+  // textContent. media-src data: lets the preview play the file in this window.
+  loadAppPage(soundSettingsWindow.webContents, 'sound-settings')
+  soundSettingsWindow.on('closed', () => { soundSettingsWindow = null })
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Screen share picker
+// ─────────────────────────────────────────────────────────────────────────────
+// System audio capture ('loopback') is only available on Windows and macOS
+const DISPLAY_AUDIO_SUPPORTED = process.platform === 'win32' || process.platform === 'darwin'
+
+function sanitizeScreenShareSettings(raw) {
+  const src = raw && typeof raw === 'object' ? raw : {}
+  const remembered = {}
+  if (src.remembered && typeof src.remembered === 'object') {
+    for (const [profileId, r] of Object.entries(src.remembered)) {
+      if (!r || !['screen', 'window'].includes(r.type) || typeof r.name !== 'string') continue
+      remembered[profileId] = {
+        type: r.type,
+        id: typeof r.id === 'string' ? r.id : '',
+        name: r.name.slice(0, 256),
+        displayId: typeof r.displayId === 'string' ? r.displayId : '',
+        audio: r.audio === true,
+      }
+    }
+  }
+  const rules = Array.isArray(src.rules)
+    ? src.rules
+      .filter(r => r && typeof r.match === 'string' && r.match.trim() && typeof r.audio === 'boolean')
+      .slice(0, 50)
+      .map(r => ({ match: r.match.trim().slice(0, 128), audio: r.audio }))
+    : []
+  const region = src.region && typeof src.region === 'object' ? src.region : {}
+  const clampInt = (value, min, max, fallback) => {
+    const n = Math.trunc(Number(value))
+    return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback
+  }
+  return {
+    remembered,
+    rules,
+    indicator: src.indicator !== false,
+    region: {
+      maxWidth: clampInt(region.maxWidth, 320, 7680, REGION_SHARE_DEFAULTS.maxWidth),
+      maxHeight: clampInt(region.maxHeight, 180, 4320, REGION_SHARE_DEFAULTS.maxHeight),
+      frameRate: clampInt(region.frameRate, 1, 60, REGION_SHARE_DEFAULTS.frameRate),
+    },
+  }
+}
+
+function loadScreenShareSettings() {
+  _screenShareSettings = sanitizeScreenShareSettings(readConfig().screenShare)
+}
+
+function saveScreenShareSettings() {
+  saveConfig({ screenShare: _screenShareSettings })
+  rebuildTrayMenu()
+}
+
+// First rule whose text appears in the source name (window title or screen name)
+function findScreenShareRule(source) {
+  const name = source.name.toLowerCase()
+  return _screenShareSettings.rules.find(r => name.includes(r.match.toLowerCase())) ?? null
+}
+
+function removeScreenShareRule(index) {
+  _screenShareSettings.rules.splice(index, 1)
+  saveScreenShareSettings()
+}
+
+function rememberDisplaySource(profileId, source, audio) {
+  // A region is drawn fresh each time
+  if (isRegionSource(source)) return
+  _screenShareSettings.remembered[profileId] = {
+    type: source.id.startsWith('screen:') ? 'screen' : 'window',
+    id: source.id,
+    name: source.name.slice(0, 256),
+    displayId: source.display_id ?? '',
+    audio: audio === true,
+  }
+  saveScreenShareSettings()
+}
+
+function forgetDisplaySource(profileId) {
+  if (!_screenShareSettings.remembered[profileId]) return
+  delete _screenShareSettings.remembered[profileId]
+  saveScreenShareSettings()
+}
+
+// Source ids change between runs, so screens are matched by display and
+// windows by title, falling back to the last known id
+function findRememberedSource(sources, remembered) {
+  if (remembered.type === 'screen') {
+    return (remembered.displayId && sources.find(s => s.display_id === remembered.displayId)) ||
+      sources.find(s => s.name === remembered.name) || null
+  }
+  return sources.find(s => s.name === remembered.name) || sources.find(s => s.id === remembered.id) || null
+}
+
+// Answers the request with the server's remembered source when it is still
+// on screen. Resolves false when the user has to pick.
+async function autoSelectDisplaySource(requestId) {
+  const remembered = _screenShareSettings.remembered[pendingDisplayRequests.get(requestId)?.profileId]
+  if (!remembered) return false
+  try {
+    const sources = await desktopCapturer.getSources({ types: [remembered.type], thumbnailSize: { width: 0, height: 0 } })
+    const source = findRememberedSource(sources, remembered)
+    return Boolean(source) && settleDisplayRequest(requestId, displayMediaResult(source, remembered.audio))
+  } catch (err) {
+    console.error('[DisplayMedia] remembered source lookup failed:', err)
+    return false
+  }
+}
+
+// A matching rule decides audio, whatever was ticked in the picker — but only
+// where loopback capture exists at all
+function displayMediaResult(source, withAudio) {
+  if (!source) return { video: null }
+  const rule = findScreenShareRule(source)
+  const audio = DISPLAY_AUDIO_SUPPORTED && (rule ? rule.audio : withAudio)
+  return { video: source, ...(audio && { audio: 'loopback' }) }
+}
+
+function hasPendingDisplayRequest(profileId) {
+  for (const req of pendingDisplayRequests.values()) {
+    if (req.profileId === profileId) return true
+  }
+  return false
+}
+
+// Answer a getDisplayMedia() request exactly once, whoever picked the source.
+// shareSource describes what is shared when video is not a capturer source.
+function settleDisplayRequest(requestId, result, shareSource = result.video) {
+  const req = pendingDisplayRequests.get(requestId)
+  if (!req) return false
+  pendingDisplayRequests.delete(requestId)
+  clearTimeout(req.timeout)
+  clearTimeout(req.fallbackTimer)
+  closeDisplayPicker(req)
+  if (req.selectingRegion) finishRegionOverlay(null)
+  // The page's picker is done with the source list once nothing is pending
+  const entry = serverViews.get(req.profileId)
+  if (entry && !hasPendingDisplayRequest(req.profileId)) stopSourceSubscription(entry)
+  try { req.callback(result) } catch {}
+  if (result.video) startShareSession(req.profileId, shareSource, Boolean(result.audio))
+  return true
+}
+
+// Page or picker made a choice — regions still need drawing first
+function answerDisplayRequest(requestId, source, withAudio) {
+  if (source && isRegionSource(source)) {
+    startRegionShare(requestId, source, withAudio).catch(err => {
+      console.error('[DisplayMedia] region share failed:', err)
+      settleDisplayRequest(requestId, { video: null })
+    })
+    return
+  }
+  settleDisplayRequest(requestId, displayMediaResult(source, withAudio))
+}
+
+function closeDisplayPicker(req) {
+  const picker = req.picker
+  req.picker = null
+  req.pickerSources = null
+  if (picker && !picker.isDestroyed()) picker.destroy()
+}
+
+function showDisplayPicker(requestId) {
+  const req = pendingDisplayRequests.get(requestId)
+  if (!req || req.picker) return
+  const picker = new BrowserWindow({
+    width: 760,
+    height: 560,
+    minWidth: 480,
+    minHeight: 360,
+    title: `${APP_NAME} — Share Your Screen`,
+    autoHideMenuBar: true,
+    ...(isWindowReady() && { parent: mainWindow }),
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'screen-picker-preload.js'),
+    },
+  })
+  req.picker = picker
+  // The user only now sees a choice — give them the full minute to make it
+  clearTimeout(req.timeout)
+  req.timeout = setTimeout(() => settleDisplayRequest(requestId, { video: null }), 60_000)
+  picker.webContents.on('will-navigate', event => {
+    event.preventDefault()
+  })
+  picker.webContents.setWindowOpenHandler(() => ({ action: 'deny' }))
+  // Source names and the server name come from the main process at runtime and
+  // are rendered with textContent; thumbnails and icons are data: URLs.
+  loadAppPage(picker.webContents, 'screen-picker')
+  // Closing the window is the same as pressing Cancel
+  picker.on('closed', () => {
+    if (req.picker === picker) settleDisplayRequest(requestId, { video: null })
+  })
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Desktop sources
+// ─────────────────────────────────────────────────────────────────────────────
+const SOURCE_SUBSCRIPTION_MAX_MS = 5 * 60_000
+
+// Sources in the shape handed to pages. Screens carry their display's bounds
+// and scale factor so the page can label and size them; the list also
+// refreshes cachedSources so any listed id can be selected.
+async function listDesktopSources(opts) {
+  const sources = withRegionSources(await desktopCapturer.getSources(opts))
+  cachedSources.clear()
+  for (const s of sources) cachedSources.set(s.id, s)
+  const displays = screen.getAllDisplays()
+  return sources.map(s => {
+    const display = s.display_id ? displays.find(d => String(d.id) === s.display_id) : null
+    return {
+      id: s.id,
+      name: s.name,
+      thumbnail: s.thumbnail && !s.thumbnail.isEmpty() ? s.thumbnail.toDataURL() : '',
+      display_id: s.display_id ?? '',
+      appIcon: s.appIcon && !s.appIcon.isEmpty() ? s.appIcon.toDataURL() : null,
+      ...(display && { bounds: display.bounds, scaleFactor: display.scaleFactor }),
+    }
+  })
+}
+
+// Re-sends the source list as desktop-sources-updated until the page
+// unsubscribes, navigates away, answers its display request, or five minutes pass
+function startSourceSubscription(entry, options) {
+  stopSourceSubscription(entry)
+  const opts = sanitizeSourceOptions(options)
+  const interval = Math.min(30_000, Math.max(1000, Math.trunc(Number(options?.intervalMs)) || 3000))
+  const sub = { timer: null, busy: false, expires: Date.now() + SOURCE_SUBSCRIPTION_MAX_MS }
+  entry.sourceSubscription = sub
+  const tick = async () => {
+    if (entry.sourceSubscription !== sub) return
+    if (Date.now() > sub.expires) { stopSourceSubscription(entry); return }
+    // Thumbnails of many windows can take longer than the interval
+    if (sub.busy) return
+    sub.busy = true
+    try {
+      const list = await listDesktopSources(opts)
+      if (entry.sourceSubscription === sub) sendToServer(entry, 'desktop-sources-updated', list)
+    } catch (err) {
+      console.error('[DesktopCapturer] refresh failed:', err)
+    } finally {
+      sub.busy = false
+    }
+  }
+  sub.timer = setInterval(tick, interval)
+  tick()
+}
+
+function stopSourceSubscription(entry) {
+  if (!entry.sourceSubscription) return
+  clearInterval(entry.sourceSubscription.timer)
+  entry.sourceSubscription = null
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Region sharing
+// ─────────────────────────────────────────────────────────────────────────────
+// "region:<screen source id>" sources let the user draw a rectangle on that
+// screen. A hidden crop window captures the screen, draws just the rectangle
+// (downscaled and frame-rate limited) onto a canvas, and its frame becomes the
+// video source handed to the page.
+
+const isRegionSource = source => source.id.startsWith('region:')
+
+function getDisplayForSource(source) {
+  return screen.getAllDisplays().find(d => source.display_id && String(d.id) === source.display_id) ??
+    screen.getPrimaryDisplay()
+}
+
+// Transparent overlay covering one display. Resolves to the drawn rectangle,
+// or null on Esc. Only one region is drawn at a time.
+function selectScreenRegion(display, initial = null) {
+  finishRegionOverlay(null)
+  return new Promise(resolve => {
+    const win = new BrowserWindow({
+      ...display.bounds,
+      frame: false,
+      transparent: true,
+      resizable: false,
+      movable: false,
+      minimizable: false,
+      maximizable: false,
+      fullscreenable: false,
+      skipTaskbar: true,
+      hasShadow: false,
+      enableLargerThanScreen: true,
+      alwaysOnTop: true,
+      show: false,
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        preload: path.join(__dirname, 'region-overlay-preload.js'),
+      },
+    })
+    _regionOverlay = { win, resolve, display, initial }
+    win.setAlwaysOnTop(true, 'screen-saver')
+    win.webContents.on('will-navigate', event => {
+      event.preventDefault()
+    })
+    win.webContents.setWindowOpenHandler(() => ({ action: 'deny' }))
+    loadAppPage(win.webContents, 'region-overlay')
+    win.once('ready-to-show', () => {
+      if (win.isDestroyed()) return
+      win.show()
+      win.focus()
+    })
+    win.on('closed', () => { if (_regionOverlay?.win === win) finishRegionOverlay(null) })
+  })
+}
+
+function finishRegionOverlay(rect) {
+  const overlay = _regionOverlay
+  if (!overlay) return
+  _regionOverlay = null
+  if (!overlay.win.isDestroyed()) overlay.win.destroy()
+  overlay.resolve(rect)
+}
+
+function findRegionCrop(contents) {
+  for (const crop of _regionCrops) {
+    if (!crop.win.isDestroyed() && crop.win.webContents.id === contents.id) return crop
+  }
+  return null
+}
+
+function getRegionCropConfig(crop) {
+  return {
+    sourceId: crop.screenSourceId,
+    display: { width: crop.display.bounds.width, height: crop.display.bounds.height },
+    rect: crop.rect,
+    output: crop.output,
+    frameRate: _screenShareSettings.region.frameRate,
+  }
+}
+
+// Hidden window that turns the screen capture into a stream of just the
+// region. Resolves once its capture is running, or null if it failed.
+function createRegionCrop(screenSourceId, display, rect) {
+  const output = getRegionOutputSize(rect, display, _screenShareSettings.region)
+  // The canvas is captured at the window's pixel size, which follows the scale
+  // of the display the window is on — so keep it on the shared display
+  const win = new BrowserWindow({
+    x: display.bounds.x,
+    y: display.bounds.y,
+    width: Math.max(1, Math.round(output.width / display.scaleFactor)),
+    height: Math.max(1, Math.round(output.height / display.scaleFactor)),
+    useContentSize: true,
+    show: false,
+    frame: false,
+    skipTaskbar: true,
+    paintWhenInitiallyHidden: true,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      backgroundThrottling: false,
+      // Its own in-memory session, so no server's permission rules apply
+      partition: 'region-crop',
+      preload: path.join(__dirname, 'region-crop-preload.js'),
+    },
+  })
+  const crop = { win, screenSourceId, display, rect, output, onStatus: null }
+  _regionCrops.add(crop)
+  win.on('closed', () => {
+    _regionCrops.delete(crop)
+    // The stream is gone with the window — end the share it belonged to
+    for (const share of activeShares.values()) {
+      if (share.crop === crop) endShareSession(share.id, true)
+    }
+  })
+  win.webContents.on('will-navigate', event => {
+    event.preventDefault()
+  })
+  win.webContents.setWindowOpenHandler(() => ({ action: 'deny' }))
+  return new Promise(resolve => {
+    const timer = setTimeout(() => crop.onStatus?.(false), 10_000)
+    crop.onStatus = ok => {
+      crop.onStatus = null
+      clearTimeout(timer)
+      if (!ok && !win.isDestroyed()) win.destroy()
+      resolve(ok ? crop : null)
+    }
+    loadAppPage(win.webContents, 'region-crop')
+  })
+}
+
+function closeRegionCrop(share) {
+  const crop = share.crop
+  share.crop = null
+  if (crop && !crop.win.isDestroyed()) crop.win.destroy()
+}
+
+async function startRegionShare(requestId, source, withAudio) {
+  const req = pendingDisplayRequests.get(requestId)
+  if (!req) return
+  // The picker gets out of the way while the user draws; drawing gets its own minute
+  closeDisplayPicker(req)
+  clearTimeout(req.timeout)
+  req.timeout = setTimeout(() => settleDisplayRequest(requestId, { video: null }), 60_000)
+  const display = getDisplayForSource(source)
+  req.selectingRegion = true
+  const rect = await selectScreenRegion(display)
+  req.selectingRegion = false
+  if (!pendingDisplayRequests.has(requestId)) return
+  if (!rect) { settleDisplayRequest(requestId, { video: null }); return }
+  const crop = await createRegionCrop(source.id.slice('region:'.length), display, rect)
+  if (!pendingDisplayRequests.has(requestId)) {
+    if (crop && !crop.win.isDestroyed()) crop.win.destroy()
+    return
+  }
+  if (!crop) { settleDisplayRequest(requestId, { video: null }); return }
+  const result = displayMediaResult(source, withAudio)
+  settleDisplayRequest(requestId, { ...result, video: crop.win.webContents.mainFrame }, { ...source, crop })
+}
+
+// Redraw the region of a running share; the stream keeps going throughout
+async function adjustSharedRegion(shareId) {
+  const crop = activeShares.get(shareId)?.crop
+  if (!crop) return
+  const rect = await selectScreenRegion(crop.display, crop.rect)
+  if (!rect || crop.win.isDestroyed()) return
+  crop.rect = rect
+  crop.output = getRegionOutputSize(rect, crop.display, _screenShareSettings.region)
+  const { scaleFactor } = crop.display
+  crop.win.setContentSize(
+    Math.max(1, Math.round(crop.output.width / scaleFactor)),
+    Math.max(1, Math.round(crop.output.height / scaleFactor)),
+  )
+  crop.win.webContents.send('region-crop-update', getRegionCropConfig(crop))
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Screen share sessions
+// ─────────────────────────────────────────────────────────────────────────────
+// Electron does not report when a capture ends, so a session lasts until the
+// page calls screenShareStopped(), navigates away, or the user stops it here.
+
+function startShareSession(profileId, source, audio) {
+  const id = ++_shareSeq
+  const share = {
+    id,
+    profileId,
+    name: source.name,
+    type: source.id.startsWith('screen:') ? 'screen' : 'window',
+    displayId: source.display_id ?? '',
+    audio,
+    indicator: null,
+    crop: source.crop ?? null,
+    stop: null, // { timer, ignored } once the user has asked to stop
+  }
+  if (share.crop) share.type = 'region'
+  activeShares.set(id, share)
+  sendToServer(serverViews.get(profileId), 'screen-share-started', { id, name: share.name, type: share.type, audio })
+  if (_screenShareSettings.indicator) showShareIndicator(share)
+  updateTrayIcon()
+  rebuildTrayMenu()
+  return id
+}
+
+// notifyPage asks the page to stop its tracks — used when the stream is gone
+// on the desktop side anyway, such as a region's crop window closing
+function endShareSession(id, notifyPage) {
+  const share = activeShares.get(id)
+  if (!share) return false
+  activeShares.delete(id)
+  clearTimeout(share.stop?.timer)
+  closeShareIndicator(share)
+  closeRegionCrop(share)
+  if (notifyPage) sendToServer(serverViews.get(share.profileId), 'screen-share-stop', { id })
+  updateTrayIcon()
+  rebuildTrayMenu()
+  return true
+}
+
+// Stop from the tray or indicator. Only the page holds the stream, so the share
+// stays listed until it confirms with screen-share-stopped; if it never does,
+// the user is told the source is still being shared.
+function requestShareStop(id) {
+  const share = activeShares.get(id)
+  if (!share) return false
+  // Closing the crop window ends a region stream outright
+  if (share.crop) return endShareSession(id, true)
+  clearTimeout(share.stop?.timer)
+  share.stop = {
+    ignored: false,
+    timer: setTimeout(() => {
+      if (activeShares.get(id) !== share) return
+      share.stop.ignored = true
+      console.warn(`[ScreenShare] page did not stop sharing "${share.name}"`)
+      updateShareIndicator(share)
+      rebuildTrayMenu()
+      if (Notification.isSupported()) {
+        new Notification({
+          title: APP_NAME,
+          body: `“${share.name}” is still being shared — the page did not stop it.`,
+        }).show()
+      }
+    }, SHARE_STOP_CONFIRM_MS),
+  }
+  sendToServer(serverViews.get(share.profileId), 'screen-share-stop', { id })
+  updateShareIndicator(share)
+  rebuildTrayMenu()
+  return true
+}
+
+const shareStopState = share => (share.stop ? (share.stop.ignored ? 'ignored' : 'stopping') : 'live')
+
+function updateShareIndicator(share) {
+  const win = share.indicator
+  if (win && !win.isDestroyed()) win.webContents.send('share-indicator-state', shareStopState(share))
+}
+
+function setShareIndicatorEnabled(enabled) {
+  _screenShareSettings.indicator = enabled
+  saveScreenShareSettings()
+  for (const share of activeShares.values()) {
+    if (enabled) showShareIndicator(share)
+    else closeShareIndicator(share)
+  }
+}
+
+function closeShareIndicator(share) {
+  const win = share.indicator
+  share.indicator = null
+  if (win && !win.isDestroyed()) win.destroy()
+}
+
+// Small always-on-top bar at the top of the shared display. Windows have no
+// display of their own, so theirs goes where the app window is.
+function showShareIndicator(share) {
+  if (share.indicator && !share.indicator.isDestroyed()) return
+  const width = 300
+  const height = 40
+  const display = screen.getAllDisplays().find(d => String(d.id) === share.displayId) ??
+    (isWindowReady() ? screen.getDisplayMatching(mainWindow.getBounds()) : screen.getPrimaryDisplay())
+  const { x, y, width: areaWidth } = display.workArea
+  const win = new BrowserWindow({
+    x: Math.round(x + (areaWidth - width) / 2),
+    y: y + 8,
+    width,
+    height,
+    frame: false,
+    resizable: false,
+    minimizable: false,
+    maximizable: false,
+    fullscreenable: false,
+    skipTaskbar: true,
+    focusable: false,
+    alwaysOnTop: true,
+    show: false,
+    backgroundColor: '#1a1a2e',
+    title: `${APP_NAME} — Sharing`,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'share-indicator-preload.js'),
+    },
+  })
+  share.indicator = win
+  win.setAlwaysOnTop(true, 'screen-saver')
+  // Keep the bar itself out of the stream where the OS allows it
+  try { win.setContentProtection(true) } catch {}
+  win.webContents.on('will-navigate', event => {
+    event.preventDefault()
+  })
+  win.webContents.setWindowOpenHandler(() => ({ action: 'deny' }))
+  // The source name comes from the main process at runtime and is rendered with textContent
+  loadAppPage(win.webContents, 'share-indicator')
+  win.once('ready-to-show', () => { if (!win.isDestroyed()) win.showInactive() })
+  win.on('closed', () => { if (share.indicator === win) share.indicator = null })
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Clipboard
+// ─────────────────────────────────────────────────────────────────────────────
+const MAX_CLIPBOARD_IMAGE_BYTES = 32 * 1024 * 1024
+const MAX_CLIPBOARD_FILES = 10
+// How long after a paste the page may read the copied files
+const CLIPBOARD_PASTE_GRANT_MS = 2000
+
+const isPasteInput = input =>
+  ((input.control || input.meta) && !input.alt && input.key.toLowerCase() === 'v') ||
+  (input.shift && input.key === 'Insert')
+
+// Sniff the type from the first bytes, the same way validateAudioMime does for
+// sounds — never trust a file extension or a server's Content-Type
+function validateImageMime(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 12) return null
+  // PNG: 89 "PNG"
+  if (buf[0] === 0x89 && buf[1] === 0x50 && buf[2] === 0x4E && buf[3] === 0x47) return 'image/png'
+  // JPEG: FF D8 FF
+  if (buf[0] === 0xFF && buf[1] === 0xD8 && buf[2] === 0xFF) return 'image/jpeg'
+  // GIF: "GIF8"
+  if (buf.toString('latin1', 0, 4) === 'GIF8') return 'image/gif'
+  // WebP: "RIFF" .... "WEBP"
+  if (buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP') return 'image/webp'
+  // BMP: "BM"
+  if (buf[0] === 0x42 && buf[1] === 0x4D) return 'image/bmp'
+  return null
+}
+
+function sniffFileMime(buf) {
+  const image = validateImageMime(buf)
+  if (image) return image
+  if (!Buffer.isBuffer(buf) || buf.length < 12) return 'application/octet-stream'
+  // PDF: "%PDF"
+  if (buf.toString('latin1', 0, 4) === '%PDF') return 'application/pdf'
+  // ZIP (and the formats built on it): "PK\x03\x04"
+  if (buf[0] === 0x50 && buf[1] === 0x4B && buf[2] === 0x03 && buf[3] === 0x04) return 'application/zip'
+  // MP4/MOV: "ftyp" box at offset 4
+  if (buf.toString('latin1', 4, 8) === 'ftyp') return buf.toString('latin1', 8, 10) === 'qt' ? 'video/quicktime' : 'video/mp4'
+  // WebM/Matroska: EBML header
+  if (buf[0] === 0x1A && buf[1] === 0x45 && buf[2] === 0xDF && buf[3] === 0xA3) return 'video/webm'
+  // WAV shares RIFF with WebP, which was ruled out above
+  return validateAudioMime(buf) ?? 'application/octet-stream'
+}
+
+// PNG or JPEG data URL → nativeImage, or null for anything else
+function imageFromDataUrl(dataUrl) {
+  if (typeof dataUrl !== 'string' || dataUrl.length > MAX_CLIPBOARD_IMAGE_BYTES * 4 / 3 + 64) return null
+  if (!/^data:image\/(png|jpeg);base64,/.test(dataUrl)) return null
+  const image = nativeImage.createFromDataURL(dataUrl)
+  return image.isEmpty() ? null : image
+}
+
+// Fetch an image through the page's own session, so attachments behind the
+// server's login work. Redirects are followed by hand so every hop passes
+// isServerContentUrl. Only decodes what actually sniffs as an image.
+async function fetchClipboardImage(entry, url) {
+  const signal = AbortSignal.timeout(30_000)
+  let res = null
+  for (let hops = 0; hops <= 5; hops++) {
+    if (!isServerContentUrl(entry.profile, url)) return null
+    res = await entry.view.webContents.session.fetch(new URL(url).href, { signal, redirect: 'manual' })
+    if (res.status < 300 || res.status >= 400) break
+    const location = res.headers.get('location')
+    if (!location) return null
+    url = new URL(location, url).href
+    res = null
+  }
+  if (!res?.ok) return null
+  if (Number(res.headers.get('content-length')) > MAX_CLIPBOARD_IMAGE_BYTES) return null
+  const chunks = []
+  let total = 0
+  for await (const chunk of res.body) {
+    total += chunk.length
+    if (total > MAX_CLIPBOARD_IMAGE_BYTES) return null
+    chunks.push(Buffer.from(chunk))
+  }
+  const buf = Buffer.concat(chunks)
+  if (!validateImageMime(buf)) return null
+  const image = nativeImage.createFromBuffer(buf)
+  return image.isEmpty() ? null : image
+}
+
+function readClipboardImage() {
+  const image = clipboard.readImage()
+  if (image.isEmpty()) return null
+  const png = image.toPNG()
+  if (png.length > MAX_CLIPBOARD_IMAGE_BYTES) return null
+  const { width, height } = image.getSize()
+  return { dataUrl: `data:image/png;base64,${png.toString('base64')}`, width, height }
+}
+
+// Electron can't read CF_HDROP and its FileNameW only names the first file, so
+// the whole drop list comes from PowerShell. Resolves null if that fails.
+function readWindowsClipboardFiles() {
+  return new Promise(resolve => {
+    const script = '[Console]::OutputEncoding = [Text.Encoding]::UTF8; ' +
+      'Get-Clipboard -Format FileDropList | ForEach-Object { $_.FullName }'
+    let child
+    try {
+      child = spawn('powershell.exe', ['-NoProfile', '-NonInteractive', '-Sta', '-Command', script], {
+        windowsHide: true,
+        stdio: ['ignore', 'pipe', 'ignore'],
+      })
+    } catch { resolve(null); return }
+    let out = ''
+    const timer = setTimeout(() => child.kill(), 5000)
+    child.stdout.setEncoding('utf8')
+    child.stdout.on('data', chunk => { if (out.length < 256 * 1024) out += chunk })
+    child.on('error', () => { clearTimeout(timer); resolve(null) })
+    child.on('close', code => {
+      clearTimeout(timer)
+      resolve(code === 0 ? out.split(/\r?\n/).map(line => line.trim()).filter(Boolean) : null)
+    })
+  })
+}
+
+// File paths copied in the OS file manager. Each platform puts them on the
+// clipboard in its own format.
+async function readClipboardFilePaths() {
+  const formats = clipboard.availableFormats()
+  if (process.platform === 'win32') {
+    // FileNameW is only there when files were copied — skip PowerShell otherwise
+    const first = clipboard.readBuffer('FileNameW').toString('utf16le').replace(/\0.*$/s, '')
+    if (!first) return []
+    return (await readWindowsClipboardFiles()) ?? [first]
+  }
+  if (process.platform === 'darwin') {
+    const names = parseFilenamesPlist(clipboard.read('NSFilenamesPboardType'))
+    if (names.length) return names
+    return parseFileUriList(clipboard.read('public.file-url'))
+  }
+  // GNOME/KDE file managers: "copy"/"cut" on the first line, then file:// URIs
+  if (formats.includes('x-special/gnome-copied-files')) return parseFileUriList(clipboard.read('x-special/gnome-copied-files'))
+  return parseFileUriList(clipboard.read('text/uri-list'))
+}
+
+// Pasted files with their sniffed type. Files within the sound size limit
+// carry their contents as a data URL so the page can upload them; larger ones
+// are listed with tooLarge: true.
+async function readClipboardFiles() {
+  const files = []
+  for (const filePath of [...new Set(await readClipboardFilePaths())].slice(0, MAX_CLIPBOARD_FILES)) {
+    try {
+      if (!path.isAbsolute(filePath)) continue
+      const st = await fs.promises.stat(filePath)
+      if (!st.isFile()) continue
+      const file = { path: filePath, name: path.basename(filePath), size: st.size }
+      if (st.size > MAX_SOUND_BYTES) {
+        files.push({ ...file, mime: 'application/octet-stream', tooLarge: true })
+        continue
+      }
+      const buf = await fs.promises.readFile(filePath)
+      const mime = sniffFileMime(buf)
+      files.push({ ...file, mime, dataUrl: `data:${mime};base64,${buf.toString('base64')}` })
+    } catch {}
+  }
+  return files
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Screenshot tool
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Freeze the screen under the cursor and open the selection/annotation window
+async function startScreenshot() {
+  if (screenshotWindow && !screenshotWindow.isDestroyed()) { screenshotWindow.focus(); return }
+  // A second trigger during the capture would open a second, orphaned window
+  if (_screenshotStarting) return
+  _screenshotStarting = true
+  const display = screen.getDisplayNearestPoint(screen.getCursorScreenPoint())
+  let sources
+  try {
+    sources = await desktopCapturer.getSources({
+      types: ['screen'],
+      thumbnailSize: {
+        width: Math.round(display.size.width * display.scaleFactor),
+        height: Math.round(display.size.height * display.scaleFactor),
+      },
+    })
+  } finally {
+    _screenshotStarting = false
+  }
+  // Linux X11 leaves display_id empty; a single screen is still unambiguous
+  const source = sources.find(s => s.display_id === String(display.id)) ?? (sources.length === 1 ? sources[0] : null)
+  if (!source || source.thumbnail.isEmpty()) return
+  _screenshotImage = source.thumbnail.toDataURL()
+  screenshotWindow = new BrowserWindow({
+    ...display.bounds,
+    frame: false,
+    resizable: false,
+    movable: false,
+    minimizable: false,
+    maximizable: false,
+    fullscreenable: false,
+    skipTaskbar: true,
+    hasShadow: false,
+    enableLargerThanScreen: true,
+    alwaysOnTop: true,
+    show: false,
+    backgroundColor: '#000000',
+    title: `${APP_NAME} — Screenshot`,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'screenshot-preload.js'),
+    },
+  })
+  screenshotWindow.setAlwaysOnTop(true, 'screen-saver')
+  const win = screenshotWindow
+  win.webContents.on('will-navigate', event => {
+    event.preventDefault()
+  })
+  win.webContents.setWindowOpenHandler(() => ({ action: 'deny' }))
+  // Everything happens on canvases in image pixels; the toolbar uses CSS pixels
+  loadAppPage(win.webContents, 'screenshot')
+  win.once('ready-to-show', () => {
+    if (win.isDestroyed()) return
+    win.show()
+    win.focus()
+  })
+  win.on('closed', () => {
+    if (screenshotWindow === win) {
+      screenshotWindow = null
+      _screenshotImage = null
+    }
+  })
+}
+
+// action: 'copy' puts the PNG on the clipboard, 'send' hands it to the visible
+// server's page as a pending attachment; null just closes the tool
+function finishScreenshot(action, dataUrl) {
+  if (screenshotWindow && !screenshotWindow.isDestroyed()) screenshotWindow.destroy()
+  screenshotWindow = null
+  _screenshotImage = null
+  if (!action) return
+  const image = imageFromDataUrl(dataUrl)
+  if (!image) return
+  const entry = getActiveServerEntry()
+  // With no page to take it, the clipboard is the next best place
+  if (action === 'copy' || !entry) {
+    clipboard.writeImage(image)
+    return
+  }
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')
+  sendToServer(entry, 'screenshot-captured', { dataUrl: image.toDataURL(), fileName: `screenshot-${stamp}.png` })
+  if (isWindowReady()) {
+    if (mainWindow.isMinimized()) mainWindow.restore()
+    mainWindow.show()
+    mainWindow.focus()
+  }
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// Config window  (Change Server URL)
+// Keybind settings window
 // ─────────────────────────────────────────────────────────────────────────────
-function showConfigWindow(firstRun = false) {
-  if (configWindow && !configWindow.isDestroyed()) { configWindow.focus(); return }
-  configWindow = new BrowserWindow({
-    width: 480,
-    height: firstRun ? 280 : 230,
+function showKeybindSettingsWindow() {
+  if (keybindSettingsWindow && !keybindSettingsWindow.isDestroyed()) { keybindSettingsWindow.focus(); return }
+  keybindSettingsWindow = new BrowserWindow({
+    width: 520,
+    height: 380,
     resizable: false,
-    title: firstRun ? `Welcome to ${APP_NAME}` : `${APP_NAME} — Configure Server`,
+    title: `${APP_NAME} — Keybinds`,
     autoHideMenuBar: true,
     webPreferences: {
-      // No nodeIntegration — the config preload uses contextBridge to expose only
-      // the two IPC calls this window needs (set-server-url, cancel-first-run).
       nodeIntegration: false,
       contextIsolation: true,
-      preload: path.join(__dirname, 'config-preload.js'),
+      preload: path.join(__dirname, 'keybind-settings-preload.js'),
     },
   })
-  // firstRun is a boolean — JSON.stringify produces "true" or "false", never injectable
-  const firstRunJson = JSON.stringify(firstRun)
-  // Server URL is fetched from the main process at runtime (no string interpolation into script)
-  const html = `<!DOCTYPE html><html><head><meta charset="utf-8">
-<meta http-equiv="Content-Security-Policy" content="default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'">
-<style>
-  body{background:#1a1a2e;color:#ccc;font-family:sans-serif;padding:24px;margin:0}
-  h2{margin:0 0 14px;color:#fff;font-size:16px}
-  .sub{font-size:12px;opacity:.55;margin:-10px 0 16px}
-  label{display:block;margin-bottom:8px;font-size:13px;opacity:.8}
-  input{width:100%;padding:8px 10px;background:#2a2a4e;color:#fff;border:1px solid #444;
-        border-radius:5px;font-size:14px;box-sizing:border-box;outline:none}
-  input:focus{border-color:#7c3aed}
-  .row{display:flex;gap:8px;margin-top:14px}
-  button{flex:1;padding:9px 0;background:#7c3aed;color:#fff;border:none;
-         border-radius:5px;font-size:13px;cursor:pointer}
-  button:hover{background:#6d28d9}
-  .cancel{background:#333}.cancel:hover{background:#444}
-  .hint{font-size:11px;opacity:.5;margin-top:8px}
-  .err{font-size:12px;color:#e06c75;margin-top:6px;min-height:16px}
-</style></head><body>
-${firstRun ? `<h2>Connect to a Fluxer Server</h2><p class="sub">Enter the address of your Fluxer instance to get started.</p>` : ''}
-<label>Server URL</label>
-<input type="text" id="u" value="" placeholder="https://chat.example.com">
-<p class="hint">e.g. https://chat.example.com &nbsp;or&nbsp; http://192.168.1.10:3000</p>
-<p class="err" id="err"></p>
-<div class="row">
-  <button onclick="save()">${firstRun ? 'Connect' : 'Save &amp; Reconnect'}</button>
-  <button class="cancel" onclick="cancel()">${firstRun ? 'Quit' : 'Cancel'}</button>
-</div>
-<script>
-const FIRST_RUN=${firstRunJson}
-const inp=document.getElementById('u')
-// Fetch current server URL from main process — no string interpolation into script
-window.configApi.getServerUrl().then(url=>{inp.value=url;inp.select()})
-async function save(){
-  const v=inp.value.trim()
-  if(!v){document.getElementById('err').textContent='Please enter a URL.';return}
-  try{const p=new URL(v);if(!['http:','https:'].includes(p.protocol)){throw new Error()}}
-  catch{document.getElementById('err').textContent='Must start with http:// or https://';return}
-  // Await acknowledgement from main before closing so the IPC message is not lost
-  await window.configApi.setServerUrl(v)
-  window.close()
-}
-function cancel(){
-  if(FIRST_RUN){window.configApi.cancelFirstRun()}
-  window.close()
-}
-inp.addEventListener('keydown',e=>{if(e.key==='Enter')save()})
-</script></body></html>`
-  // Block all navigation — will-navigate does not fire for the initial loadURL,
-  // only for page-initiated navigations, so blocking unconditionally is safe.
-  configWindow.webContents.on('will-navigate', event => {
+  keybindSettingsWindow.webContents.on('will-navigate', event => {
     event.preventDefault()
   })
-  configWindow.webContents.setWindowOpenHandler(() => ({ action: 'deny' }))
-  configWindow.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(html))
-  configWindow.on('closed', () => {
-    configWindow = null
-    // If user closes the first-run window without saving, quit.
-    // Guard isQuitting to avoid a double-quit if cancel() already triggered it.
-    if (firstRun && !isWindowReady() && !isQuitting) { isQuitting = true; app.quit() }
+  keybindSettingsWindow.webContents.setWindowOpenHandler(() => ({ action: 'deny' }))
+  // Action labels and bindings come from the main process at runtime and are
+  // rendered with textContent.
+  loadAppPage(keybindSettingsWindow.webContents, 'keybind-settings')
+  keybindSettingsWindow.on('closed', () => {
+    keybindSettingsWindow = null
+    if (_keyCapture?.owner === desktopKeybinds) finishKeyCapture(null)
   })
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Window
 // ─────────────────────────────────────────────────────────────────────────────
-function createWindow() {
+// mainWindow's own webContents renders the server rail; each saved server runs
+// in its own WebContentsView beside it so several instances stay live at once.
+function createWindow({ bounds, maximized = false, fullscreen = false } = getSavedWindowPlacement()) {
   const icon = nativeImage.createFromPath(ICON_PATH)
 
   mainWindow = new BrowserWindow({
-    width: 1280,
-    height: 800,
+    width: bounds?.width ?? DEFAULT_WINDOW_SIZE.width,
+    height: bounds?.height ?? DEFAULT_WINDOW_SIZE.height,
+    ...(bounds ? { x: bounds.x, y: bounds.y } : {}),
     minWidth: 940,
     minHeight: 600,
     title: APP_NAME,
@@ -982,7 +4086,8 @@ function createWindow() {
     frame: process.platform !== 'darwin',
     titleBarStyle: 'hidden',
     webPreferences: {
-      preload: path.join(__dirname, 'preload.js'),
+      // The rail only needs the tiny railApi bridge — never window.electron
+      preload: path.join(__dirname, 'rail-preload.js'),
       contextIsolation: true,
       nodeIntegration: false,
       webSecurity: true,
@@ -990,10 +4095,166 @@ function createWindow() {
     autoHideMenuBar: true,
     show: false,
   })
+  // Bounds are applied first so maximize/fullscreen happen on the saved display
+  if (maximized) mainWindow.maximize()
+  if (fullscreen) mainWindow.setFullScreen(true)
+
+  // Save geometry as it changes so a crash doesn't lose it
+  for (const evt of ['move', 'resize', 'maximize', 'unmaximize', 'enter-full-screen', 'leave-full-screen']) {
+    mainWindow.on(evt, scheduleWindowStateSave)
+  }
 
   // Remove the application menu so Alt doesn't flash a menu bar on Windows
   Menu.setApplicationMenu(null)
 
+  // Forward maximize state to every server page
+  mainWindow.on('maximize', () => sendToAllServers('window-maximize-change', true))
+  mainWindow.on('unmaximize', () => sendToAllServers('window-maximize-change', false))
+
+  // Keep views sized to the content area. 'resize' alone is not emitted for
+  // maximize/fullscreen transitions on every Linux window manager.
+  for (const evt of ['resize', 'maximize', 'unmaximize', 'restore', 'enter-full-screen', 'leave-full-screen']) {
+    mainWindow.on(evt, () => layoutServerViews())
+  }
+  // Keyboard focus belongs to the visible server page, not the rail
+  mainWindow.on('focus', () => {
+    // The user is looking now — no need to keep flashing
+    cancelAllAttention()
+    const entry = getActiveServerEntry()
+    if (entry) try { entry.view.webContents.focus() } catch {}
+  })
+
+  // The rail is a local page — block any navigation or popup it might attempt
+  mainWindow.webContents.on('will-navigate', event => event.preventDefault())
+  mainWindow.webContents.setWindowOpenHandler(() => ({ action: 'deny' }))
+  mainWindow.webContents.on('did-finish-load', () => updateServerRail())
+  // Server names arrive over IPC and are rendered with textContent only
+  loadAppPage(mainWindow.webContents, 'server-rail')
+  mainWindow.once('ready-to-show', () => {
+    try { if (!mainWindow.isDestroyed()) mainWindow.show() } catch {}
+    // Overlay icons only stick once the taskbar button exists
+    updateTrayIcon()
+  })
+
+  for (const profile of serverProfiles) createServerView(profile)
+  layoutServerViews()
+
+  // Hide to tray on close; show a one-time hint the first time
+  const trayHintFlagPath = path.join(app.getPath('userData'), 'tray-hint-shown')
+  mainWindow.on('close', event => {
+    saveWindowState()
+    if (!isQuitting) {
+      event.preventDefault()
+      try { mainWindow.hide() } catch {}
+      try {
+        // Atomic exclusive create — fails if the file already exists, eliminating
+        // the TOCTOU window between existsSync and writeFileSync.
+        fs.writeFileSync(trayHintFlagPath, '1', { flag: 'wx' })
+        // Only reached if this is the first close (file didn't exist)
+        if (tray && Notification.isSupported()) {
+          new Notification({ title: APP_NAME, body: 'Fluxer is still running in the system tray.' }).show()
+        }
+      } catch {}
+    }
+  })
+
+  // WebContentsView contents are not destroyed with their host window
+  mainWindow.on('closed', () => {
+    clearTimeout(_windowStateTimer)
+    for (const entry of serverViews.values()) {
+      resetPageState(entry)
+      try { entry.view.webContents.close() } catch {}
+    }
+    serverViews.clear()
+  })
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Server views
+// ─────────────────────────────────────────────────────────────────────────────
+function getActiveServerEntry() {
+  return serverViews.get(activeProfileId) ?? null
+}
+
+// Resolve the server view an IPC message came from (null for other windows)
+function getServerEntryForContents(contents) {
+  if (!contents) return null
+  for (const entry of serverViews.values()) {
+    try { if (entry.view.webContents.id === contents.id) return entry } catch {}
+  }
+  return null
+}
+
+function sendToServer(entry, channel, ...args) {
+  if (!entry) return
+  try {
+    if (!entry.view.webContents.isDestroyed()) entry.view.webContents.send(channel, ...args)
+  } catch {}
+}
+
+function sendToActiveServer(channel, ...args) {
+  sendToServer(getActiveServerEntry(), channel, ...args)
+}
+
+function sendToAllServers(channel, ...args) {
+  for (const entry of serverViews.values()) sendToServer(entry, channel, ...args)
+}
+
+// Dialog parent for IPC calls — popups resolve to their own window, server views
+// to the main window.
+function getWindowForContents(contents) {
+  try {
+    const win = BrowserWindow.fromWebContents(contents)
+    if (win && !win.isDestroyed()) return win
+  } catch {}
+  return isWindowReady() ? mainWindow : null
+}
+
+// The rail is only shown when there is something to switch between, so a
+// single-server setup looks exactly like it did before the rail existed.
+function getRailWidth() {
+  return serverProfiles.length > 1 ? SERVER_RAIL_WIDTH : 0
+}
+
+function layoutServerViews() {
+  if (!isWindowReady()) return
+  const [width, height] = mainWindow.getContentSize()
+  const railWidth = getRailWidth()
+  for (const entry of serverViews.values()) {
+    try {
+      entry.view.setBounds({ x: railWidth, y: 0, width: Math.max(0, width - railWidth), height })
+      entry.view.setVisible(entry.profile.id === activeProfileId)
+    } catch {}
+  }
+}
+
+function createServerView(profile) {
+  if (!isWindowReady() || serverViews.has(profile.id)) return serverViews.get(profile.id) ?? null
+  const view = new WebContentsView({
+    webPreferences: {
+      // Each server gets its own preload bridge instance
+      preload: path.join(__dirname, 'preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+      webSecurity: true,
+      // Per-profile persistent partition; the migrated legacy profile keeps the default session
+      ...(profile.partition ? { partition: profile.partition } : {}),
+    },
+  })
+  view.setBackgroundColor('#1a1a2e')
+  // profile is the live object from serverProfiles, so edits to its URL are
+  // picked up by every origin check below without re-attaching handlers.
+  const entry = {
+    view, profile, keybinds: new Map(), badgeCount: 0, initialDeepLink: null, contextTarget: null,
+    soundRevs: new Map(), // sound key → revision this page has decoded
+    sourceSubscription: null, // { timer, busy, expires } while the page's picker is open
+    lastPasteAt: 0, // when the user last pasted into this page, for clipboard-read-files
+  }
+  serverViews.set(profile.id, entry)
+  mainWindow.contentView.addChildView(view)
+  const contents = view.webContents
+  const ses = contents.session
+
   // Permission grants for mic, camera, notifications, screen capture, etc.
   const ALLOWED_PERMISSIONS = [
     'notifications', 'media', 'mediaKeySystem',
@@ -1003,90 +4264,100 @@ function createWindow() {
     'fullscreen', 'geolocation',
   ]
   // Async handler — called when the web app actively requests a permission
-  mainWindow.webContents.session.setPermissionRequestHandler((_wc, permission, callback) => {
+  ses.setPermissionRequestHandler((_wc, permission, callback) => {
     callback(ALLOWED_PERMISSIONS.includes(permission))
   })
   // Sync handler — called when Chromium checks a permission without prompting.
   // Must be set alongside setPermissionRequestHandler or some media features
   // (e.g. WebRTC video tracks, screen capture) silently fail the pre-check.
-  mainWindow.webContents.session.setPermissionCheckHandler((_wc, permission) => {
+  ses.setPermissionCheckHandler((_wc, permission) => {
     return ALLOWED_PERMISSIONS.includes(permission)
   })
 
-  // Intercept getDisplayMedia() — route through Fluxer's built-in picker UI
-  mainWindow.webContents.session.setDisplayMediaRequestHandler((request, callback) => {
+  applySpellcheckToSession(ses)
+
+  // Downloads run inside the profile's session so they carry its cookies.
+  // A session outlives its view, so only attach the listener once.
+  if (!_downloadSessions.has(ses)) {
+    _downloadSessions.add(ses)
+    ses.on('will-download', (_event, item) => handleWillDownload(item, profile.id))
+  }
+
+  // Intercept getDisplayMedia() — route through Fluxer's built-in picker UI.
+  // Sessions are per profile, so this handler always belongs to this view.
+  ses.setDisplayMediaRequestHandler((request, callback) => {
     // Rate-limit: reject if too many requests are already pending
     if (pendingDisplayRequests.size >= 10) {
       try { callback({ video: null }) } catch {}
       return
     }
     const requestId = `dmr-${crypto.randomUUID()}`
-    const timeout = setTimeout(() => {
-      const req = pendingDisplayRequests.get(requestId)
-      if (req) {
-        pendingDisplayRequests.delete(requestId)
-        cachedSources.clear() // prevent stale source leak on timeout
-        try { req.callback({ video: null }) } catch {}
-      }
+    const req = {
+      callback, timeout: null, profileId: profile.id,
+      fallbackTimer: null, picker: null, pickerSources: null, selectingRegion: false,
+    }
+    req.timeout = setTimeout(() => {
+      cachedSources.clear() // prevent stale source leak on timeout
+      settleDisplayRequest(requestId, { video: null })
     }, 60_000)
-    pendingDisplayRequests.set(requestId, { callback, timeout })
+    pendingDisplayRequests.set(requestId, req)
+    // Read now — the frame may be gone once the remembered-source lookup returns
+    let requestingUrl = profile.url
+    try { requestingUrl = request.requestingFrame?.url ?? profile.url } catch {}
+    autoSelectDisplaySource(requestId).then(selected => { if (!selected) askForDisplaySource() })
 
-    try {
-      if (!isWindowReady()) {
-        clearTimeout(timeout)
-        pendingDisplayRequests.delete(requestId)
+    function askForDisplaySource() {
+      // Timed out or torn down while looking for the remembered source
+      if (!pendingDisplayRequests.has(requestId)) return
+      try {
+        if (contents.isDestroyed()) {
+          cachedSources.clear()
+          settleDisplayRequest(requestId, { video: null })
+          return
+        }
+        // Only pass the origin if it matches the server's own host AND protocol —
+        // otherwise a third-party/downgraded iframe's origin would be leaked.
+        let frameOrigin = new URL(profile.url).origin
+        try {
+          const u = new URL(requestingUrl)
+          const a = new URL(profile.url)
+          if (u.host === a.host && u.protocol === a.protocol) frameOrigin = u.origin
+        } catch {}
+        contents.send('display-media-requested', requestId, {
+          origin: frameOrigin,
+        })
+        // Older web app versions have no picker — fall back to ours if the page
+        // hasn't asked for sources by now
+        req.fallbackTimer = setTimeout(() => showDisplayPicker(requestId), DISPLAY_PICKER_FALLBACK_MS)
+      } catch (err) {
+        // If we can't notify the renderer, cancel immediately
         cachedSources.clear()
-        try { callback({ video: null }) } catch {}
-        return
+        settleDisplayRequest(requestId, { video: null })
       }
-      // Only pass the origin if it matches the app's own host AND protocol —
-      // otherwise a third-party/downgraded iframe's origin would be leaked.
-      let frameOrigin = new URL(appUrl).origin
-      try {
-        const u = new URL(request.requestingFrame?.url ?? appUrl)
-        const a = new URL(appUrl)
-        if (u.host === a.host && u.protocol === a.protocol) frameOrigin = u.origin
-      } catch {}
-      mainWindow.webContents.send('display-media-requested', requestId, {
-        origin: frameOrigin,
-      })
-    } catch (err) {
-      // If we can't notify the renderer, cancel immediately
-      clearTimeout(timeout)
-      pendingDisplayRequests.delete(requestId)
-      cachedSources.clear()
-      try { callback({ video: null }) } catch {}
     }
   }, { useSystemPicker: false })
 
-  // Forward maximize state to the web app
-  mainWindow.on('maximize', () => {
-    try { mainWindow.webContents.send('window-maximize-change', true) } catch {}
-  })
-  mainWindow.on('unmaximize', () => {
-    try { mainWindow.webContents.send('window-maximize-change', false) } catch {}
-  })
-
   // zoomFilePath is used both in did-finish-load (restore) and the set-zoom-factor handler
   const zoomFilePath = path.join(app.getPath('userData'), 'zoom.json')
 
-  mainWindow.loadURL(appUrl)
-  mainWindow.once('ready-to-show', () => { try { if (!mainWindow.isDestroyed()) mainWindow.show() } catch {} })
+  contents.loadURL(profile.url)
 
   // Show a friendly error page if the server is unreachable
-  mainWindow.webContents.on('did-fail-load', (_event, errorCode, errorDescription, validatedURL) => {
+  contents.on('did-fail-load', (_event, errorCode, errorDescription, validatedURL, isMainFrame) => {
+    // Subresource failures (e.g. a blocked iframe) must not replace the whole app
+    if (!isMainFrame) return
     // Skip our own generated error pages (data: URLs) and internal chrome pages
     if (validatedURL && (
       validatedURL.startsWith('data:') ||
       validatedURL.startsWith('chrome://') ||
       validatedURL.startsWith('chrome-error://')
     )) return
-    if (!isWindowReady()) return
+    if (contents.isDestroyed()) return
     if (isQuitting) return
-    if (!mainWindow.isVisible()) mainWindow.show()
+    if (isWindowReady() && profile.id === activeProfileId && !mainWindow.isVisible()) mainWindow.show()
     let hint = ''
     if (errorCode === -105) {
-      hint = '<p class="hint">Tip: Windows Firewall may be blocking this app, or the hostname is only reachable on your LAN/VPN. Try setting the server\'s IP address with <strong>Change Server URL</strong>.</p>'
+      hint = '<p class="hint">Tip: Windows Firewall may be blocking this app, or the hostname is only reachable on your LAN/VPN. Try setting the server\'s IP address with <strong>Manage Servers</strong>.</p>'
     } else if (errorCode === -21) {
       hint = '<p class="hint">Tip: No internet connection detected — check your network.</p>'
     } else if (errorCode === -102) {
@@ -1095,8 +4366,8 @@ function createWindow() {
       hint = '<p class="hint">Tip: Connection timed out — the server may be unreachable or behind a firewall.</p>'
     }
     // Replace < with its unicode escape so the HTML parser never sees a tag
-    // boundary inside the <script> block, regardless of what appUrl contains.
-    const serverUrlJson = JSON.stringify(appUrl)
+    // boundary inside the <script> block, regardless of what the URL contains.
+    const serverUrlJson = JSON.stringify(profile.url)
       .replace(/</g, '\\u003c')
       .replace(/\u2028/g, '\\u2028')
       .replace(/\u2029/g, '\\u2029')
@@ -1115,12 +4386,12 @@ function createWindow() {
   #cnt{font-size:11px;opacity:.45;margin-top:10px}
 </style></head><body>
 <h1>Connection Failed</h1>
-<p>Unable to reach <strong>${escHtml(appUrl)}</strong></p>
+<p>Unable to reach <strong>${escHtml(profile.url)}</strong></p>
 <p style="font-size:12px;opacity:.6">${escHtml(String(errorDescription).substring(0, 200))} (${Number(errorCode)})</p>
 ${hint}
 <div class="btns">
   <button onclick="retry()">Retry Now</button>
-  <button class="sec" onclick="configure()">Change Server URL</button>
+  <button class="sec" onclick="configure()">Manage Servers</button>
 </div>
 <p id="cnt">Retrying in <span id="s">5</span>s&hellip;</p>
 <script>
@@ -1130,26 +4401,28 @@ const si=setInterval(()=>{t--;document.getElementById('s').textContent=t;if(t<=0
 function retry(){clearInterval(si);location.href=SERVER}
 function configure(){if(window.electron&&window.electron.configureServer){clearInterval(si);window.electron.configureServer()}}
 </script></body></html>`
-    mainWindow.webContents.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(html))
+    contents.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(html))
   })
 
   // CSS drag-region fallback — ensures window is draggable on frameless platforms
   // even if Fluxer's own CSS hasn't set -webkit-app-region:drag yet
-  mainWindow.webContents.on('did-finish-load', () => {
-    if (!isWindowReady()) return
+  contents.on('did-finish-load', () => {
+    if (contents.isDestroyed()) return
     // Skip error pages and internal pages — only inject into real app content
-    const loadedUrl = mainWindow.webContents.getURL()
+    const loadedUrl = contents.getURL()
     if (loadedUrl.startsWith('data:') || loadedUrl.startsWith('chrome://') || loadedUrl.startsWith('chrome-error://')) return
+    // Desktop keybinds outlive navigations — tell every freshly loaded page
+    sendToServer(entry, 'desktop-keybinds', getDesktopKeybindList())
     // Restore persisted zoom here — Electron ≥ 28 resets zoom to 1.0 on each navigation,
     // so setZoomFactor called before loadURL has no lasting effect.
     try {
       const saved = JSON.parse(fs.readFileSync(zoomFilePath, 'utf8'))
       const factor = Number(saved?.factor)
       if (isFinite(factor) && factor >= 0.5 && factor <= 3.0) {
-        mainWindow.webContents.setZoomFactor(factor)
+        contents.setZoomFactor(factor)
       }
     } catch {}
-    mainWindow.webContents.insertCSS(`
+    contents.insertCSS(`
       [class*="titleBar"i]:not(button):not(input):not(a),
       [class*="title-bar"i]:not(button):not(input):not(a),
       [class*="topBar"i]:not(button):not(input):not(a) {
@@ -1162,66 +4435,57 @@ function configure(){if(window.electron&&window.electron.configureServer){clearI
     `).catch(err => console.debug('[DragRegion] CSS injection failed:', err.message))
   })
 
-  // Clear registered keybinds and global shortcuts on navigation so stale binds
-  // don't fire into the new page. Also cancel pending display-media requests.
-  mainWindow.webContents.on('did-navigate', () => {
-    registeredKeybinds.clear()
-    // Unregister only the shortcuts we own — avoids nuking any shortcuts that
-    // other Electron internal code may have registered on the same instance.
-    for (const accelerator of registeredShortcuts.keys()) {
-      try { globalShortcut.unregister(accelerator) } catch {}
-    }
-    registeredShortcuts.clear()
-    for (const req of pendingDisplayRequests.values()) {
-      clearTimeout(req.timeout)
-      try { req.callback({ video: null }) } catch {}
+  // Right-click in a textarea — hand the spelling suggestions to the web app so
+  // it can render them in its own menu (see onTextareaContextMenu). Anything
+  // else gets a native menu built for what was clicked.
+  contents.on('context-menu', (_event, params) => {
+    const target = entry.contextTarget
+    entry.contextTarget = null
+    if (params.isEditable && target?.isTextarea && Date.now() - target.at <= 1000) {
+      contents.send('textarea-context-menu', {
+        x: params.x,
+        y: params.y,
+        misspelledWord: params.misspelledWord || null,
+        suggestions: (params.dictionarySuggestions ?? []).slice(0, 10),
+        editFlags: params.editFlags,
+      })
+      return
     }
-    pendingDisplayRequests.clear()
-    cachedSources.clear()
+    const template = buildContextMenuTemplate(contents, params)
+    if (!template.length) return
+    try { Menu.buildFromTemplate(template).popup({ window: mainWindow }) } catch {}
   })
 
+  // Clear this page's keybinds, shortcuts, badge and pending display-media
+  // requests on navigation so stale state doesn't leak into the new page.
+  contents.on('did-navigate', () => resetPageState(entry))
+
   // Intercept Ctrl+=/−/0 and forward as zoom IPC events to the web app.
   // event.preventDefault() stops the browser's own zoom from also firing.
-  mainWindow.webContents.on('before-input-event', (event, input) => {
-    if (!input.control && !input.meta) return
+  contents.on('before-input-event', (event, input) => {
     if (input.type !== 'keyDown') return
-    if (!isWindowReady()) return
+    // Ctrl/Cmd+V or Shift+Insert lets the page read copied files once
+    if (isPasteInput(input)) entry.lastPasteAt = Date.now()
+    if (!input.control && !input.meta) return
+    if (contents.isDestroyed()) return
     if (input.key === '=' || input.key === '+') {
       event.preventDefault()
-      mainWindow.webContents.send('zoom-in')
+      contents.send('zoom-in')
     } else if (input.key === '-') {
       event.preventDefault()
-      mainWindow.webContents.send('zoom-out')
+      contents.send('zoom-out')
     } else if (input.key === '0') {
       event.preventDefault()
-      mainWindow.webContents.send('zoom-reset')
-    }
-  })
-
-  // Hide to tray on close; show a one-time hint the first time
-  const trayHintFlagPath = path.join(app.getPath('userData'), 'tray-hint-shown')
-  mainWindow.on('close', event => {
-    if (!isQuitting) {
-      event.preventDefault()
-      try { mainWindow.hide() } catch {}
-      try {
-        // Atomic exclusive create — fails if the file already exists, eliminating
-        // the TOCTOU window between existsSync and writeFileSync.
-        fs.writeFileSync(trayHintFlagPath, '1', { flag: 'wx' })
-        // Only reached if this is the first close (file didn't exist)
-        if (tray && Notification.isSupported()) {
-          new Notification({ title: APP_NAME, body: 'Fluxer is still running in the system tray.' }).show()
-        }
-      } catch {}
+      contents.send('zoom-reset')
     }
   })
 
   // Same-origin popups get the preload so window.electron is available
-  mainWindow.webContents.setWindowOpenHandler(({ url }) => {
+  contents.setWindowOpenHandler(({ url }) => {
     let sameOrigin = false
     try {
       const u = new URL(url)
-      const a = new URL(appUrl)
+      const a = new URL(profile.url)
       // Require both protocol and host to match — allowing http: when the app uses
       // https: would let a MITM server serve content that gets the preload injected.
       sameOrigin = u.protocol === a.protocol && u.host === a.host
@@ -1249,14 +4513,14 @@ function configure(){if(window.electron&&window.electron.configureServer){clearI
   // Attach security guards to same-origin popups opened by setWindowOpenHandler.
   // Without this, a popup can navigate to a third-party page that still has the
   // preload / window.electron API available.
-  mainWindow.webContents.on('did-create-window', popup => {
-    // Capture host AND protocol at popup-open time so that a later appUrl change
-    // (via "Change Server URL") cannot grant this popup access to the new server,
+  contents.on('did-create-window', popup => {
+    // Capture host AND protocol at popup-open time so that a later URL change
+    // (via "Manage Servers") cannot grant this popup access to the new server,
     // and so a protocol-downgrade (https→http) on the same host is also blocked.
     let expectedPopupHost = ''
     let expectedPopupProtocol = ''
     try {
-      const a = new URL(appUrl)
+      const a = new URL(profile.url)
       expectedPopupHost = a.host
       expectedPopupProtocol = a.protocol
     } catch {}
@@ -1278,12 +4542,12 @@ function configure(){if(window.electron&&window.electron.configureServer){clearI
     popup.webContents.setWindowOpenHandler(() => ({ action: 'deny' }))
   })
 
-  // Block navigation away from the app domain
-  mainWindow.webContents.on('will-navigate', (event, url) => {
+  // Block navigation away from the server's domain
+  contents.on('will-navigate', (event, url) => {
     let isAppOrigin = false
     try {
       const u = new URL(url)
-      const a = new URL(appUrl)
+      const a = new URL(profile.url)
       // Compare host:port (protocol-independent, consistent with setWindowOpenHandler).
       // Require http/https to exclude data:, javascript:, chrome:, etc.
       isAppOrigin = ['http:', 'https:'].includes(u.protocol) && u.host === a.host
@@ -1296,11 +4560,140 @@ function configure(){if(window.electron&&window.electron.configureServer){clearI
       } catch {}
     }
   })
+
+  return entry
+}
+
+// Native right-click menu for server pages. Sections are added for whatever is
+// under the cursor — an editable field, a link, an image, or selected text.
+function buildContextMenuTemplate(contents, params) {
+  const sections = []
+  const flags = params.editFlags ?? {}
+
+  if (params.isEditable) {
+    const items = []
+    if (params.misspelledWord) {
+      const suggestions = (params.dictionarySuggestions ?? []).slice(0, 5)
+      for (const word of suggestions) {
+        items.push({ label: word, click: () => { try { contents.replaceMisspelling(word) } catch {} } })
+      }
+      if (!suggestions.length) items.push({ label: 'No Suggestions', enabled: false })
+      items.push({
+        label: 'Add to Dictionary',
+        click: () => { try { contents.session.addWordToSpellCheckerDictionary(params.misspelledWord) } catch {} },
+      })
+      sections.push(items)
+    }
+    sections.push([
+      { label: 'Cut', role: 'cut', enabled: Boolean(flags.canCut) },
+      { label: 'Copy', role: 'copy', enabled: Boolean(flags.canCopy) },
+      {
+        label: 'Paste',
+        enabled: Boolean(flags.canPaste),
+        click: () => {
+          const entry = getServerEntryForContents(contents)
+          if (entry) entry.lastPasteAt = Date.now()
+          try { contents.paste() } catch {}
+        },
+      },
+      { label: 'Select All', role: 'selectAll', enabled: Boolean(flags.canSelectAll) },
+    ])
+  } else if (params.selectionText?.trim()) {
+    sections.push([{ label: 'Copy', role: 'copy' }])
+  }
+
+  let linkUrl = null
+  try {
+    const u = new URL(params.linkURL)
+    if (['http:', 'https:', 'mailto:'].includes(u.protocol)) linkUrl = u.href
+  } catch {}
+  if (linkUrl) {
+    sections.push([
+      { label: 'Open Link in Browser', click: () => shell.openExternal(linkUrl).catch(() => {}) },
+      {
+        label: linkUrl.startsWith('mailto:') ? 'Copy Email Address' : 'Copy Link',
+        click: () => clipboard.writeText(linkUrl.startsWith('mailto:') ? linkUrl.slice(7) : linkUrl),
+      },
+    ])
+  }
+
+  if (params.mediaType === 'image' && params.srcURL) {
+    let saveable = false
+    let fileName = 'image'
+    try {
+      const u = new URL(params.srcURL)
+      saveable = ['http:', 'https:'].includes(u.protocol)
+      fileName = decodeURIComponent(path.posix.basename(u.pathname)) || 'image'
+    } catch {}
+    sections.push([
+      { label: 'Copy Image', click: () => { try { contents.copyImageAt(params.x, params.y) } catch {} } },
+      ...(saveable ? [{
+        label: 'Save Image As…',
+        click: () => saveUrlAs(contents, params.srcURL, fileName),
+      }] : []),
+    ])
+  }
+
+  return sections.flatMap((items, i) => (i ? [{ type: 'separator' }, ...items] : items))
+}
+
+function destroyServerView(profileId) {
+  const entry = serverViews.get(profileId)
+  if (!entry) return
+  resetPageState(entry)
+  serverViews.delete(profileId)
+  try { if (isWindowReady()) mainWindow.contentView.removeChildView(entry.view) } catch {}
+  try { entry.view.webContents.close() } catch {}
+  updateBadgeCount()
+}
+
+// ── Server rail ───────────────────────────────────────────────────────────────
+function updateServerRail() {
+  if (!isWindowReady()) return
+  const servers = serverProfiles.map(p => ({
+    id: p.id,
+    name: p.name,
+    active: p.id === activeProfileId,
+    badge: serverViews.get(p.id)?.badgeCount ?? 0,
+  }))
+  try { mainWindow.webContents.send('rail-servers', servers) } catch {}
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Tray
 // ─────────────────────────────────────────────────────────────────────────────
+// Remembered sources and audio rules, each removable with one click
+function buildScreenShareMenu() {
+  const indicator = {
+    label: 'Show Sharing Indicator',
+    type: 'checkbox',
+    checked: _screenShareSettings.indicator,
+    click: item => setShareIndicatorEnabled(item.checked),
+  }
+  const remembered = serverProfiles
+    .filter(p => _screenShareSettings.remembered[p.id])
+    .map(p => ({
+      label: `Forget “${_screenShareSettings.remembered[p.id].name}” for ${p.name}`,
+      click: () => forgetDisplaySource(p.id),
+    }))
+  const rules = _screenShareSettings.rules.map((rule, index) => ({
+    label: `${rule.audio ? 'Always' : 'Never'} share audio with “${rule.match}”`,
+    type: 'checkbox',
+    checked: true,
+    click: () => removeScreenShareRule(index),
+  }))
+  if (!remembered.length && !rules.length) {
+    return [indicator, { type: 'separator' }, { label: 'No remembered sources or rules', enabled: false }]
+  }
+  return [
+    indicator,
+    { type: 'separator' },
+    ...remembered,
+    ...(remembered.length && rules.length ? [{ type: 'separator' }] : []),
+    ...rules,
+  ]
+}
+
 function rebuildTrayMenu() {
   if (!tray || tray.isDestroyed()) return
   tray.setContextMenu(Menu.buildFromTemplate([
@@ -1313,6 +4706,41 @@ function rebuildTrayMenu() {
       },
     },
     { type: 'separator' },
+    ...(activeShares.size ? [
+      ...[...activeShares.values()].flatMap(share => [
+        share.stop?.ignored
+          ? {
+              label: `“${share.name}” Still Shared — the Page Did Not Stop It`,
+              submenu: [
+                { label: 'Try Stopping Again', click: () => requestShareStop(share.id) },
+                {
+                  label: 'Show Server',
+                  click: () => {
+                    if (!isWindowReady()) return
+                    if (serverViews.has(share.profileId) && share.profileId !== activeProfileId) switchServerProfile(share.profileId)
+                    mainWindow.show()
+                    mainWindow.focus()
+                  },
+                },
+              ],
+            }
+          : {
+              label: share.stop ? `Stopping “${share.name}”…` : `Stop Sharing “${share.name}”`,
+              enabled: !share.stop,
+              click: () => requestShareStop(share.id),
+            },
+        ...(share.crop ? [{ label: 'Adjust Shared Region…', click: () => adjustSharedRegion(share.id) }] : []),
+      ]),
+      { type: 'separator' },
+    ] : []),
+    // One-click switching between saved servers
+    ...serverProfiles.map(p => ({
+      label: p.name,
+      type: 'radio',
+      checked: p.id === activeProfileId,
+      click: () => { if (p.id !== activeProfileId) switchServerProfile(p.id) },
+    })),
+    { type: 'separator' },
     {
       label: 'Theme',
       submenu: [
@@ -1337,48 +4765,160 @@ function rebuildTrayMenu() {
       ],
     },
     {
-      label: 'Notification Sound',
+      label: _dndActive ? 'Do Not Disturb (on)' : 'Do Not Disturb',
       submenu: [
         {
-          label: _notifSoundPath ? `Current: ${path.basename(_notifSoundPath)}` : 'Set Custom Sound…',
-          click: () => pickNotificationSound(),
+          label: 'Do Not Disturb',
+          type: 'checkbox',
+          checked: _dndSettings.enabled,
+          click: item => setDndState({ enabled: item.checked }),
+        },
+        {
+          label: isInQuietHours(_dndSettings.quietHours) ? 'Follow Quiet Hours (active now)' : 'Follow Quiet Hours',
+          type: 'checkbox',
+          checked: _dndSettings.quietHours.enabled,
+          enabled: _dndSettings.quietHours.ranges.length > 0,
+          click: item => setDndState({ quietHours: { enabled: item.checked } }),
+        },
+        { type: 'separator' },
+        {
+          label: 'Allow Direct Messages',
+          type: 'checkbox',
+          checked: _dndSettings.breakthrough.includes('dm'),
+          click: item => setDndState({
+            breakthrough: item.checked ? [..._dndSettings.breakthrough, 'dm'] : _dndSettings.breakthrough.filter(c => c !== 'dm'),
+          }),
+        },
+        {
+          label: 'Allow Mentions',
+          type: 'checkbox',
+          checked: _dndSettings.breakthrough.includes('mention'),
+          click: item => setDndState({
+            breakthrough: item.checked ? [..._dndSettings.breakthrough, 'mention'] : _dndSettings.breakthrough.filter(c => c !== 'mention'),
+          }),
+        },
+        {
+          label: 'Show Missed Notifications Afterwards',
+          type: 'checkbox',
+          checked: _dndSettings.queue,
+          click: item => setDndState({ queue: item.checked }),
         },
-        ...(_notifSoundPath ? [
-          { label: 'Preview Sound', click: () => playNotificationSound() },
-          { label: 'Clear Custom Sound', click: () => clearNotificationSound() },
+      ],
+    },
+    { label: 'Sound Settings…', click: () => showSoundSettingsWindow() },
+    ...(activeDownloads.size || finishedDownloads.length ? [{
+      label: 'Downloads',
+      submenu: [
+        ...[...activeDownloads.values()].map(dl => ({
+          label: `${dl.fileName} (downloading…)`,
+          submenu: [
+            dl.item.isPaused()
+              ? { label: 'Resume', enabled: dl.item.canResume(), click: () => { dl.item.resume(); rebuildTrayMenu() } }
+              : { label: 'Pause', click: () => { dl.item.pause(); emitDownloadProgress(dl, 'paused'); rebuildTrayMenu() } },
+            { label: 'Cancel', click: () => dl.item.cancel() },
+          ],
+        })),
+        ...(activeDownloads.size && finishedDownloads.length ? [{ type: 'separator' }] : []),
+        ...finishedDownloads.map(d => ({
+          label: d.fileName,
+          submenu: [
+            { label: 'Open', click: () => shell.openPath(d.path).catch(() => {}) },
+            { label: 'Show in Folder', click: () => shell.showItemInFolder(d.path) },
+          ],
+        })),
+        ...(finishedDownloads.length ? [
+          { type: 'separator' },
+          { label: 'Clear List', click: () => { finishedDownloads.length = 0; rebuildTrayMenu() } },
         ] : []),
       ],
+    }] : []),
+    { label: 'Keybinds…', click: () => showKeybindSettingsWindow() },
+    { label: 'Screen Sharing', submenu: buildScreenShareMenu() },
+    {
+      label: 'Take Screenshot…',
+      click: () => startScreenshot().catch(err => console.error('[Screenshot] capture failed:', err)),
+    },
+    {
+      label: 'Push-to-Talk',
+      submenu: [
+        ...[['hold', 'Hold to Talk'], ['toggle', 'Toggle'], ['hold-delay', `Hold with Release Delay (${_pttSettings.releaseDelay} ms)`]]
+          .map(([mode, label]) => ({
+            label,
+            type: 'radio',
+            checked: _pttSettings.mode === mode,
+            click: () => setPttSettings({ mode }),
+          })),
+        { type: 'separator' },
+        {
+          label: 'Start/Stop Beeps',
+          type: 'checkbox',
+          checked: _pttSettings.beeps,
+          click: item => setPttSettings({ beeps: item.checked }),
+        },
+      ],
+    },
+    { type: 'separator' },
+    {
+      label: 'Settings',
+      click: () => {
+        if (!isWindowReady()) return
+        mainWindow.show()
+        sendToActiveServer('open-settings')
+      },
     },
+    { label: 'Manage Servers…', click: () => showConfigWindow() },
     { type: 'separator' },
-    { label: 'Settings', click: () => { if (isWindowReady()) mainWindow.webContents.send('open-settings') } },
-    { label: 'Change Server URL…', click: () => showConfigWindow() },
+    {
+      label: 'Updates',
+      submenu: [
+        ...(_updateState === 'ready' && _updateInfo ? [{
+          label: _updateInfo.kind === 'manual'
+            ? `Install Update (v${_updateInfo.version})…`
+            : `Restart to Update (v${_updateInfo.version})`,
+          click: () => {
+            if (_updateInfo.kind === 'manual') shell.openPath(_updateInfo.filePath).catch(() => {})
+            else quitAndInstallUpdate()
+          },
+        }, { type: 'separator' }] : []),
+        { label: 'Check for Updates', click: () => checkForUpdates().catch(() => {}) },
+        { type: 'separator' },
+        ...UPDATE_CHANNELS.map(channel => ({
+          label: channel === 'beta' ? 'Beta Channel' : 'Stable Channel',
+          type: 'radio',
+          checked: loadUpdateSettings().channel === channel,
+          click: () => setUpdateChannel(channel),
+        })),
+      ],
+    },
     { type: 'separator' },
     { label: 'Quit', click: () => { isQuitting = true; app.quit() } },
   ]))
 }
 
+function toggleMainWindow() {
+  if (!isWindowReady()) { createWindow(); return }
+  try {
+    const visible = mainWindow.isVisible()
+    const minimized = mainWindow.isMinimized()
+    const focused = mainWindow.isFocused()
+    if (visible && !minimized && focused) {
+      mainWindow.hide()
+    } else {
+      if (minimized) mainWindow.restore()
+      mainWindow.show()
+      mainWindow.focus()
+    }
+  } catch {}
+}
+
 function createTray() {
   if (tray && !tray.isDestroyed()) return
-  tray = new Tray(nativeImage.createFromPath(ICON_PATH))
-  tray.setToolTip(APP_NAME)
+  tray = new Tray(getBadgedIcon('tray', null))
+  updateTrayIcon()
   rebuildTrayMenu()
 
   // Single click toggles visibility (Discord/Slack behaviour)
-  tray.on('click', () => {
-    if (!isWindowReady()) { createWindow(); return }
-    try {
-      const visible = mainWindow.isVisible()
-      const minimized = mainWindow.isMinimized()
-      const focused = mainWindow.isFocused()
-      if (visible && !minimized && focused) {
-        mainWindow.hide()
-      } else {
-        if (minimized) mainWindow.restore()
-        mainWindow.show()
-        mainWindow.focus()
-      }
-    } catch {}
-  })
+  tray.on('click', () => toggleMainWindow())
   tray.on('double-click', () => {
     if (!isWindowReady()) { createWindow(); return }
     try { mainWindow.show(); mainWindow.focus() } catch {}
@@ -1389,16 +4929,28 @@ function createTray() {
 // App lifecycle
 // ─────────────────────────────────────────────────────────────────────────────
 app.whenReady().then(() => {
-  const savedUrl = loadServerUrl()
-  if (savedUrl) appUrl = savedUrl // keep APP_URL as fallback so appUrl is never null
+  const hasProfiles = loadServerProfiles()
   currentTheme = loadTheme()
   nativeTheme.themeSource = currentTheme
-  loadNotificationSound()
+  loadSoundSettings()
+  loadSpellcheckSettings()
+  loadDndSettings()
+  loadPttSettings()
+  loadScreenShareSettings()
+  loadDesktopKeybinds()
+  startDndSchedule()
+  installLocalDictionaries()
   registerIpcHandlers()
-  if (savedUrl) {
+  // Cold start from a fluxer:// link (Windows/Linux pass it in argv; macOS may
+  // already have queued one through open-url)
+  _pendingDeepLink = findDeepLinkInArgv(process.argv) ?? _pendingDeepLink
+  scheduleUpdateChecks()
+  if (hasProfiles) {
     // Returning user — go straight to the app
     createWindow()
     createTray()
+    flushPendingDeepLink()
+    if (desktopKeybinds.keybinds.size) startHook().catch(() => {})
   } else {
     // First run — ask which server to connect to before opening the main window
     showConfigWindow(true)
@@ -1419,16 +4971,23 @@ app.on('before-quit', () => {
   isQuitting = true
   stopHook()
   clearTimeout(_badgeDebounceTimer)
+  clearInterval(_updateTimer)
+  clearInterval(_dndTimer)
+  queuedNotifications.length = 0
   globalShortcut.unregisterAll()
   registeredShortcuts.clear()
 
   // Cancel all pending display requests
-  for (const req of pendingDisplayRequests.values()) {
-    clearTimeout(req.timeout)
-    try { req.callback({ video: null }) } catch {}
-  }
-  pendingDisplayRequests.clear()
+  for (const requestId of [...pendingDisplayRequests.keys()]) settleDisplayRequest(requestId, { video: null })
+  for (const entry of serverViews.values()) stopSourceSubscription(entry)
   cachedSources.clear()
+  for (const share of activeShares.values()) {
+    clearTimeout(share.stop?.timer)
+    closeShareIndicator(share)
+    closeRegionCrop(share)
+  }
+  activeShares.clear()
+  finishRegionOverlay(null)
 
   // Close all active notifications properly
   for (const entry of activeNotifications.values()) {
@@ -1442,4 +5001,22 @@ app.on('before-quit', () => {
     try { configWindow.destroy() } catch {}
     configWindow = null
   }
+  if (soundSettingsWindow && !soundSettingsWindow.isDestroyed()) {
+    try { soundSettingsWindow.destroy() } catch {}
+    soundSettingsWindow = null
+  }
+  if (keybindSettingsWindow && !keybindSettingsWindow.isDestroyed()) {
+    try { keybindSettingsWindow.destroy() } catch {}
+    keybindSettingsWindow = null
+  }
+  if (screenshotWindow && !screenshotWindow.isDestroyed()) {
+    try { screenshotWindow.destroy() } catch {}
+    screenshotWindow = null
+  }
+})
+
+// Install a downloaded update on the way out — whether the user quit from the
+// tray or asked to restart now.
+app.on('will-quit', () => {
+  applyDownloadedUpdate(_relaunchAfterUpdate)
 })
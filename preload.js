@@ -53,6 +53,23 @@ const api = {
   // Clipboard
   clipboardWriteText: text => ipcRenderer.invoke('clipboard-write-text', text),
   clipboardReadText: () => ipcRenderer.invoke('clipboard-read-text'),
+  // A PNG or JPEG data URL, or an image URL on this server or one of the
+  // attachmentHosts configured for it, fetched with the server's login
+  // (max 32 MB); resolves false if it isn't a usable image or the URL points
+  // anywhere else
+  clipboardWriteImage: source => ipcRenderer.invoke('clipboard-write-image', source),
+  // Resolves to { dataUrl (PNG), width, height } or null
+  clipboardReadImage: () => ipcRenderer.invoke('clipboard-read-image'),
+  // Files copied in the OS file manager (up to 10): [{ path, name, size, mime,
+  // dataUrl }] — mime is sniffed from the contents; files over 5 MB come
+  // without dataUrl and with tooLarge: true.
+  // Call it from a paste handler: it resolves [] unless the user pasted into
+  // this focused page within the last 2 s, and once per paste.
+  clipboardReadFiles: () => ipcRenderer.invoke('clipboard-read-files'),
+
+  // Screenshot tool (tray or the desktop keybind) — "Send to Chat" delivers
+  // { dataUrl, fileName } to the visible server to attach to the message box
+  onScreenshotCaptured: cb => on('screenshot-captured', cb),
 
   // Deep links
   onDeepLink: cb => on('deep-link', cb),
@@ -62,14 +79,35 @@ const api = {
   onRpcNavigate: cb => on('rpc-navigate', cb),
 
   // Global shortcuts (Electron accelerator-based, e.g. "Ctrl+Shift+M")
-  registerGlobalShortcut: (accelerator, id) =>
-    ipcRenderer.invoke('register-global-shortcut', { accelerator, id }),
+  // Resolves true or false — false also when another server holds the
+  // accelerator (this page can always replace its own). options: { force: true }
+  // takes it over anyway; { detailed: true } resolves { success, error?,
+  // conflicts? } instead (see checkKeybind below) and also refuses inputs a key
+  // hook bind or desktop keybind uses unless forced.
+  registerGlobalShortcut: (accelerator, id, options) =>
+    ipcRenderer.invoke('register-global-shortcut', {
+      accelerator,
+      id,
+      detailed: options?.detailed === true,
+      force: options?.force === true,
+    }),
   unregisterGlobalShortcut: accelerator =>
     ipcRenderer.invoke('unregister-global-shortcut', accelerator),
   unregisterAllGlobalShortcuts: () =>
     ipcRenderer.invoke('unregister-all-global-shortcuts'),
   onGlobalShortcut: cb => on('global-shortcut-triggered', cb),
 
+  // Keybind registry — covers global shortcuts, global key hook binds and the
+  // desktop keybinds. listKeybinds() resolves to
+  // [{ source: 'globalShortcut' | 'uiohook' | 'desktop', binding, id | server | action }]
+  // where id is one of this page's own binds and server names another server.
+  // checkKeybind({ accelerator, id } or global key hook register options)
+  // resolves { success: true } or { success: false, error } with error one of
+  // 'invalid', 'limit', 'conflict' (with conflicts in the same shape as the
+  // list) or 'unavailable' (the OS or another app owns the accelerator).
+  listKeybinds: () => ipcRenderer.invoke('keybinds-list'),
+  checkKeybind: options => ipcRenderer.invoke('keybinds-check', options),
+
   // Autostart
   autostartEnable: () => ipcRenderer.invoke('autostart-enable'),
   autostartDisable: () => ipcRenderer.invoke('autostart-disable'),
@@ -90,6 +128,13 @@ const api = {
   // File download
   downloadFile: (url, defaultPath) =>
     ipcRenderer.invoke('download-file', { url, defaultPath }),
+  // Progress for downloadFile() and page-initiated downloads:
+  // { id, url, fileName, state, received, total, canResume, error? }
+  onDownloadProgress: cb => on('download-progress', cb),
+  getDownloads: () => ipcRenderer.invoke('downloads-list'),
+  cancelDownload: id => ipcRenderer.invoke('download-cancel', id),
+  pauseDownload: id => ipcRenderer.invoke('download-pause', id),
+  resumeDownload: id => ipcRenderer.invoke('download-resume', id),
 
   // Passkeys (not supported in this wrapper)
   passkeyIsSupported: () => ipcRenderer.invoke('passkey-is-supported'),
@@ -103,27 +148,68 @@ const api = {
   // Fluxer's UI calls getDesktopSources() to populate its own source picker,
   // then calls selectDisplayMediaSource() when the user picks a source.
   // The main process intercepts getDisplayMedia() and sends display-media-requested
-  // to trigger Fluxer's built-in picker.
-  getDesktopSources: types => ipcRenderer.invoke('get-desktop-sources', types),
+  // to trigger Fluxer's built-in picker. If the page hasn't called
+  // getDesktopSources() within 3 s, the desktop app opens its own picker.
+  // Sources with ids starting "region:" share part of a screen: picking one
+  // lets the user draw the rectangle before the stream starts.
+  // getDesktopSources(types) or getDesktopSources({ types, thumbnailSize:
+  // { width, height } (default 320×180, 0×0 for none), fetchWindowIcons }).
+  // Each source: { id, name, thumbnail, display_id, appIcon } — screens also
+  // carry their display's bounds and scaleFactor.
+  getDesktopSources: options => ipcRenderer.invoke('get-desktop-sources', options),
+  // Same options plus intervalMs (default 3000); the full list then arrives via
+  // onDesktopSourcesUpdated until unsubscribed, the request is answered, or
+  // five minutes pass. Resolves false unless a display-media-requested request
+  // is waiting for an answer.
+  subscribeDesktopSources: options => ipcRenderer.invoke('desktop-sources-subscribe', options),
+  unsubscribeDesktopSources: () => ipcRenderer.invoke('desktop-sources-unsubscribe'),
+  onDesktopSourcesUpdated: cb => on('desktop-sources-updated', cb),
   onDisplayMediaRequested: cb => on('display-media-requested', cb),
-  selectDisplayMediaSource: (requestId, sourceId, withAudio) =>
-    ipcRenderer.send('select-display-media-source', requestId, sourceId, withAudio),
+  // remember: true picks the same screen/window automatically next time
+  // (the user can forget it from the tray → Screen Sharing)
+  selectDisplayMediaSource: (requestId, sourceId, withAudio, remember) =>
+    ipcRenderer.send('select-display-media-source', requestId, sourceId, withAudio, remember === true),
+  // Each source handed to getDisplayMedia() starts a share the tray shows as
+  // live: onScreenShareStarted gets { id, name, type, audio }. Call
+  // screenShareStopped(id) when the stream ends (no id = all of this page's
+  // shares); onScreenShareStop({ id }) means the user stopped it from the tray
+  // or the indicator bar and the page should end its tracks, then confirm with
+  // screenShareStopped — the share stays listed until it does, and after a few
+  // seconds without confirmation the user is told it is still being shared.
+  getScreenShares: () => ipcRenderer.invoke('screen-shares-get'),
+  screenShareStopped: id => ipcRenderer.send('screen-share-stopped', Number.isInteger(id) ? id : null),
+  onScreenShareStarted: cb => on('screen-share-started', cb),
+  onScreenShareStop: cb => on('screen-share-stop', cb),
 
-  // Notifications
+  // Notifications — options.category ('dm' | 'mention') lets a notification
+  // break through Do Not Disturb
   showNotification: options => ipcRenderer.invoke('show-notification', options),
   closeNotification: id => ipcRenderer.send('close-notification', id),
   closeNotifications: ids => ipcRenderer.send('close-notifications', ids),
   onNotificationClick: cb => on('notification-click', cb),
 
-  // Custom notification sound
+  // Do Not Disturb — { active, enabled, scheduled, quietHours, breakthrough, queue, queued }
+  dndGetState: () => ipcRenderer.invoke('dnd-get-state'),
+  dndSetState: state => ipcRenderer.invoke('dnd-set-state', state),
+  onDndStateChanged: cb => on('dnd-state-changed', cb),
+
+  // Sounds — events: message, mention, dm, call-ring, ptt-on, ptt-off.
+  // playSound('call-ring', { loop: true }) rings until stopSound('call-ring').
+  playSound: (event, opts) => ipcRenderer.send('sound-play', event, opts),
+  stopSound: event => stopSound(event),
+  getSoundSettings: () => ipcRenderer.invoke('sounds-get-state'),
+  openSoundSettings: () => ipcRenderer.invoke('sound-settings-open'),
+  // Single custom sound (kept for compatibility — maps to the message sound)
   notificationSoundPick: () => ipcRenderer.invoke('notification-sound-pick'),
   notificationSoundClear: () => ipcRenderer.invoke('notification-sound-clear'),
   notificationSoundGet: () => ipcRenderer.invoke('notification-sound-get'),
   notificationSoundPreview: () => ipcRenderer.invoke('notification-sound-preview'),
 
-  // App badge (Windows taskbar overlay)
+  // App badge (tray icon and Windows taskbar overlay) — -1 shows a mention dot
   setBadgeCount: count => ipcRenderer.send('set-badge-count', count),
   getBadgeCount: () => ipcRenderer.invoke('get-badge-count'),
+  // Flash the taskbar / bounce the dock; resolves to an id for cancelBounceDock
+  // (-1 when the window is already focused). Stops by itself on focus.
   bounceDock: type => ipcRenderer.invoke('bounce-dock', type ?? 'informational'),
   cancelBounceDock: id => ipcRenderer.send('cancel-bounce-dock', id),
 
@@ -143,6 +229,14 @@ const api = {
   // then globalKeyHookRegister() with the chosen key's uiohook keycode.
   // Main fires global-keybind-triggered events on keydown/keyup globally,
   // even when the app window is not focused.
+  // Register options: { id, ctrl, alt, shift, meta, ignoreExtraModifiers, ptt,
+  // detailed, force } plus one trigger: keycode | keycodes (chord, e.g. [Z, X]) |
+  // sequence (e.g. [F13, 1], with sequenceTimeout ms) | mouseButton (1–16) |
+  // wheel ('up' | 'down' | 'left' | 'right'). Modifiers apply to mouse binds too.
+  // Resolves true or false; binds sharing an input all fire. With detailed: true
+  // it resolves { success, error?, conflicts? } as for checkKeybind and refuses
+  // an input another bind or global shortcut uses (pass force: true to
+  // register anyway). checkKeybind() reports conflicts without registering.
   globalKeyHookStart: () => ipcRenderer.invoke('global-key-hook-start'),
   globalKeyHookStop: () => ipcRenderer.invoke('global-key-hook-stop'),
   globalKeyHookIsRunning: () => ipcRenderer.invoke('global-key-hook-is-running'),
@@ -150,11 +244,33 @@ const api = {
   globalKeyHookRegister: options => ipcRenderer.invoke('global-key-hook-register', options),
   globalKeyHookUnregister: id => ipcRenderer.invoke('global-key-hook-unregister', id),
   globalKeyHookUnregisterAll: () => ipcRenderer.invoke('global-key-hook-unregister-all'),
+  // Raw key/mouse events only arrive while a capture is running — the page
+  // never sees general typing, just its own keybind matches.
+  // globalKeyHookCapture({ timeoutMs = 10000, mouse = false }) — for keybind settings;
+  // resolves null on timeout, cancel, or while another window is capturing
+  globalKeyHookCapture: options => ipcRenderer.invoke('global-key-hook-capture', options),
+  globalKeyHookCaptureCancel: () => ipcRenderer.invoke('global-key-hook-capture-cancel'),
   onGlobalKeyEvent: cb => on('global-key-event', cb),
   onGlobalMouseEvent: cb => on('global-mouse-event', cb),
   onGlobalKeybindTriggered: cb => on('global-keybind-triggered', cb),
+  // Push-to-talk — register the PTT key with { ptt: true } and main handles
+  // hold / toggle / hold-delay itself; triggered events then carry ptt: true.
+  // Settings: { mode: 'hold' | 'toggle' | 'hold-delay', releaseDelay, beeps }
+  pttGetSettings: () => ipcRenderer.invoke('ptt-get-settings'),
+  pttSetSettings: settings => ipcRenderer.invoke('ptt-set-settings', settings),
+  onPttSettingsChanged: cb => on('ptt-settings-changed', cb),
+  onPttStateChanged: cb => on('ptt-state-changed', cb),
+  // Desktop keybinds — set in the app's Keybinds window and handled by main,
+  // so they work before the page loads. The list ([{ action, label, binding }])
+  // is re-sent after every navigation; skip page binds for actions that have one.
+  // Actions arrive as { action: 'toggle-mute' | 'toggle-deafen' } or
+  // { action: 'ptt', active }; show/hide window and screenshots never reach the page.
+  getDesktopKeybinds: () => ipcRenderer.invoke('desktop-keybinds-get'),
+  openKeybindSettings: () => ipcRenderer.invoke('keybind-settings-open'),
+  onDesktopKeybinds: cb => on('desktop-keybinds', cb),
+  onDesktopKeybindAction: cb => on('desktop-keybind-action', cb),
 
-  // Spellcheck stubs
+  // Spellcheck — suggestions for textarea right-clicks arrive via onTextareaContextMenu
   spellcheckGetState: () => ipcRenderer.invoke('spellcheck-get-state'),
   spellcheckSetState: state => ipcRenderer.invoke('spellcheck-set-state', state),
   spellcheckGetAvailableLanguages: () =>
@@ -187,19 +303,40 @@ window.addEventListener('contextmenu', event => {
   ipcRenderer.send('spellcheck-context-target', { isTextarea })
 }, true)
 
-// Custom notification sound — main process sends a base64 data URI whenever a
-// notification fires and the user has configured a custom sound file.
-// The renderer plays it via HTML5 Audio so it works cross-platform without
+// Sound library — the main process sends { key, rev, volume, loop, dataUri? }.
+// Decoded Audio objects are cached per key; the data URI only comes along the
+// first time a page sees a given revision of a sound.
+// The renderer plays via HTML5 Audio so it works cross-platform without
 // needing any native audio libraries in the main process.
 // Uses the on() wrapper to deduplicate listeners across page reloads.
-on('play-notification-sound', (dataUri) => {
+const soundCache = new Map() // key → { rev, audio }
+
+on('play-sound', payload => {
   try {
-    if (typeof dataUri !== 'string' || !dataUri.startsWith('data:audio/')) return
-    const audio = new Audio(dataUri)
-    audio.volume = 1.0
+    if (!payload || typeof payload.key !== 'string') return
+    let cached = soundCache.get(payload.key)
+    if (typeof payload.dataUri === 'string') {
+      if (!payload.dataUri.startsWith('data:audio/')) return
+      if (cached) cached.audio.pause()
+      cached = { rev: payload.rev, audio: new Audio(payload.dataUri) }
+      soundCache.set(payload.key, cached)
+    }
+    if (!cached || cached.rev !== payload.rev) return
+    const { audio } = cached
+    audio.volume = Math.min(1, Math.max(0, Number(payload.volume) || 0))
+    audio.loop = payload.loop === true
+    audio.currentTime = 0
     audio.play().catch(() => {})
   } catch {}
 })
 
+function stopSound(key) {
+  const cached = soundCache.get(key)
+  if (!cached) return
+  cached.audio.pause()
+  cached.audio.loop = false
+  cached.audio.currentTime = 0
+}
+
 // Expose as window.electron — the exact name Fluxer's web app checks
 contextBridge.exposeInMainWorld('electron', api)
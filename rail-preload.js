@@ -0,0 +1,17 @@
+const { contextBridge, ipcRenderer } = require('electron')
+
+// Minimal bridge for the server rail in the main window.
+// Exposes only server switching — the rail never gets window.electron.
+let _serversHandler = null
+
+contextBridge.exposeInMainWorld('railApi', {
+  onServers: cb => {
+    if (_serversHandler) ipcRenderer.removeListener('rail-servers', _serversHandler)
+    _serversHandler = (_e, servers) => cb(Array.isArray(servers) ? servers : [])
+    ipcRenderer.on('rail-servers', _serversHandler)
+  },
+  select: id => {
+    if (typeof id === 'string') ipcRenderer.send('rail-select-server', id)
+  },
+  manage: () => ipcRenderer.send('rail-manage-servers'),
+})
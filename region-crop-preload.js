@@ -0,0 +1,19 @@
+const { contextBridge, ipcRenderer } = require('electron')
+
+// Minimal bridge for the hidden window that crops a screen capture to the
+// shared region. Exposes only its configuration and a status report — no
+// Node.js access in the renderer.
+
+let _updateHandler = null
+
+contextBridge.exposeInMainWorld('cropApi', {
+  // Resolves to { sourceId, display: { width, height }, rect, output, frameRate }
+  getConfig: () => ipcRenderer.invoke('region-crop-config'),
+  status: ok => ipcRenderer.send('region-crop-status', ok === true),
+  // Same shape as getConfig, sent when the user adjusts the region
+  onUpdate: cb => {
+    if (_updateHandler) ipcRenderer.removeListener('region-crop-update', _updateHandler)
+    _updateHandler = (_e, config) => cb(config)
+    ipcRenderer.on('region-crop-update', _updateHandler)
+  },
+})
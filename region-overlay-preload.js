@@ -0,0 +1,25 @@
+const { contextBridge, ipcRenderer } = require('electron')
+
+// Minimal bridge for the region selection overlay.
+// Exposes only the calls for reporting the drawn rectangle — no Node.js access
+// in the renderer.
+
+const cleanRect = rect => {
+  if (!rect || typeof rect !== 'object') return null
+  const out = {}
+  for (const key of ['x', 'y', 'width', 'height']) {
+    if (!Number.isFinite(rect[key])) return null
+    out[key] = rect[key]
+  }
+  return out
+}
+
+contextBridge.exposeInMainWorld('regionApi', {
+  // Resolves to { rect } — rect is the current region when adjusting, else null
+  getInfo: () => ipcRenderer.invoke('region-overlay-info'),
+  done: rect => {
+    const r = cleanRect(rect)
+    if (r) ipcRenderer.send('region-overlay-done', r)
+  },
+  cancel: () => ipcRenderer.send('region-overlay-cancel'),
+})
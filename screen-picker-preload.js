@@ -0,0 +1,16 @@
+const { contextBridge, ipcRenderer } = require('electron')
+
+// Minimal bridge for the built-in screen share picker.
+// Exposes only the calls for answering this window's request — no Node.js
+// access in the renderer.
+
+contextBridge.exposeInMainWorld('pickerApi', {
+  // Resolves to { server, audio, sources: [{ id, name, type, thumbnail, icon }] }
+  // with type 'screen', 'window' or 'region' (part of a screen, drawn after picking)
+  getSources: () => ipcRenderer.invoke('display-picker-sources'),
+  select: (sourceId, withAudio, remember) => {
+    if (typeof sourceId !== 'string') return
+    ipcRenderer.send('display-picker-select', sourceId, withAudio === true, remember === true)
+  },
+  cancel: () => ipcRenderer.send('display-picker-cancel'),
+})
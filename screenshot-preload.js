@@ -0,0 +1,17 @@
+const { contextBridge, ipcRenderer } = require('electron')
+
+// Minimal bridge for the screenshot tool.
+// Exposes only the frozen screen image and the finish/cancel calls — no
+// Node.js access in the renderer.
+
+const FINISH_ACTIONS = ['copy', 'send']
+
+contextBridge.exposeInMainWorld('shotApi', {
+  // Resolves to a PNG data URL of the frozen screen, or null
+  getImage: () => ipcRenderer.invoke('screenshot-image'),
+  finish: (action, dataUrl) => {
+    if (!FINISH_ACTIONS.includes(action) || typeof dataUrl !== 'string') return
+    ipcRenderer.send('screenshot-finish', { action, dataUrl })
+  },
+  cancel: () => ipcRenderer.send('screenshot-cancel'),
+})
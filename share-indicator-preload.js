@@ -0,0 +1,22 @@
+const { contextBridge, ipcRenderer } = require('electron')
+
+// Minimal bridge for the screen share indicator bar.
+// Exposes only the shared source's name and a stop button — no Node.js access
+// in the renderer.
+
+let _stateHandler = null
+
+contextBridge.exposeInMainWorld('indicatorApi', {
+  // Resolves to { name, region, state } or null
+  getInfo: () => ipcRenderer.invoke('share-indicator-info'),
+  stop: () => ipcRenderer.send('share-indicator-stop'),
+  // Region shares only — redraw the shared rectangle
+  adjust: () => ipcRenderer.send('share-indicator-adjust'),
+  // state: 'live', 'stopping' (waiting for the page) or 'ignored' (the page
+  // never confirmed it stopped)
+  onState: cb => {
+    if (_stateHandler) ipcRenderer.removeListener('share-indicator-state', _stateHandler)
+    _stateHandler = (_e, state) => cb(state)
+    ipcRenderer.on('share-indicator-state', _stateHandler)
+  },
+})
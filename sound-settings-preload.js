@@ -0,0 +1,23 @@
+const { contextBridge, ipcRenderer } = require('electron')
+
+// Minimal bridge for the Sound Settings window.
+// Exposes only the sound-library IPC calls — no Node.js access in the renderer.
+
+const SOUND_KEYS = ['message', 'mention', 'dm', 'call-ring', 'ptt-on', 'ptt-off']
+const cleanKey = key => (SOUND_KEYS.includes(key) ? key : null)
+
+let _changedHandler = null
+
+contextBridge.exposeInMainWorld('soundApi', {
+  getState: () => ipcRenderer.invoke('sounds-get-state'),
+  pick: key => (cleanKey(key) ? ipcRenderer.invoke('sounds-pick', key) : Promise.resolve({ success: false })),
+  clear: key => (cleanKey(key) ? ipcRenderer.invoke('sounds-clear', key) : Promise.resolve(false)),
+  setVolume: volume => ipcRenderer.invoke('sounds-set-volume', Number(volume)),
+  // Resolves to { dataUri, volume } or null when no custom sound is set
+  preview: key => (cleanKey(key) ? ipcRenderer.invoke('sounds-preview', key) : Promise.resolve(null)),
+  onChanged: cb => {
+    if (_changedHandler) ipcRenderer.removeListener('sound-settings-changed', _changedHandler)
+    _changedHandler = (_e, state) => cb(state)
+    ipcRenderer.on('sound-settings-changed', _changedHandler)
+  },
+})
@@ -0,0 +1,40 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { parseAccelerator, acceleratorToKeybind, parseKeybindOptions, keybindsOverlap } = require('../lib/keybinds')
+
+test('every spelling of one combination gives the same combo', () => {
+  const combos = ['CmdOrCtrl+Shift+M', 'ctrl+shift+m', 'Shift + Control + M', 'CommandOrControl+SHIFT+m']
+    .map(a => parseAccelerator(a, 'linux').combo)
+  assert.deepEqual(new Set(combos), new Set(['Ctrl+Shift+M']))
+  assert.equal(parseAccelerator('CmdOrCtrl+M', 'darwin').combo, 'Meta+M')
+  assert.equal(parseAccelerator('Super+Option+F13', 'linux').combo, 'Alt+Meta+F13')
+})
+
+test('named and punctuation keys map to uiohook names', () => {
+  assert.equal(parseAccelerator('Ctrl+/', 'linux').keyName, 'Slash')
+  assert.equal(parseAccelerator('Alt+num5', 'linux').keyName, 'Numpad5')
+  assert.equal(parseAccelerator('MediaPlayPause', 'linux').keyName, 'MediaPlayPause')
+  assert.equal(parseAccelerator('Esc', 'linux').keyName, 'Escape')
+  // Plus is typed as Shift+Equal
+  assert.equal(parseAccelerator('Ctrl++', 'linux').combo, 'Ctrl+Shift+Equal')
+  assert.equal(parseAccelerator('Ctrl+Plus', 'linux').combo, 'Ctrl+Shift+Equal')
+})
+
+test('malformed accelerators are rejected', () => {
+  for (const accelerator of ['', 'Ctrl+Shift', 'Ctrl+A+B', 'Ctrl++A', 'F25', 'Ctrl+Hyper+A', 'Ctrl+ +A']) {
+    assert.equal(parseAccelerator(accelerator, 'linux'), null, accelerator)
+  }
+})
+
+test('an accelerator conflicts with a key hook bind on the same key and modifiers', () => {
+  const keycodeMap = { 50: 'M', 100: 'F13' }
+  const asKeybind = acceleratorToKeybind(parseAccelerator('Ctrl+Shift+M', 'linux'), keycodeMap)
+  assert.equal(asKeybind.keycode, 50)
+  const hookBind = options => parseKeybindOptions({ id: 'mute', ...options })
+  assert.equal(keybindsOverlap(hookBind({ keycode: 50, ctrl: true, shift: true }), asKeybind), true)
+  assert.equal(keybindsOverlap(hookBind({ keycode: 50, ctrl: true }), asKeybind), false)
+  assert.equal(keybindsOverlap(hookBind({ keycode: 50, ctrl: true, ignoreExtraModifiers: true }), asKeybind), true)
+  // Keys uiohook has no code for, or no uiohook at all, can't be compared
+  assert.equal(acceleratorToKeybind(parseAccelerator('Ctrl+Q', 'linux'), keycodeMap), null)
+  assert.equal(acceleratorToKeybind(parseAccelerator('Ctrl+M', 'linux'), null), null)
+})
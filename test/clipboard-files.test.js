@@ -0,0 +1,21 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { parseFileUriList, parseFilenamesPlist } = require('../lib/clipboard-files')
+
+test('parseFileUriList reads uri-lists and file manager copies', { skip: process.platform === 'win32' }, () => {
+  assert.deepEqual(parseFileUriList('file:///home/me/a%20b.png\r\n# comment\r\nfile:///tmp/c.txt\r\n'),
+    ['/home/me/a b.png', '/tmp/c.txt'])
+  assert.deepEqual(parseFileUriList('copy\nfile:///home/me/x.pdf'), ['/home/me/x.pdf'])
+  assert.deepEqual(parseFileUriList('https://example.com/a.png\nfile://remote-host/share/x'), [])
+  assert.deepEqual(parseFileUriList(''), [])
+})
+
+test('parseFilenamesPlist reads every path and unescapes entities', () => {
+  const plist = `<?xml version="1.0" encoding="UTF-8"?>
+<plist version="1.0"><array>
+<string>/Users/me/R&amp;D &lt;draft&gt;.key</string>
+<string>/Users/me/b.png</string>
+</array></plist>`
+  assert.deepEqual(parseFilenamesPlist(plist), ['/Users/me/R&D <draft>.key', '/Users/me/b.png'])
+  assert.deepEqual(parseFilenamesPlist(''), [])
+})
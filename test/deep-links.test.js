@@ -0,0 +1,35 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { findDeepLinkInArgv, resolveDeepLink } = require('../lib/deep-links')
+
+const profiles = [
+  { id: 'a', url: 'https://chat.example.com' },
+  { id: 'b', url: 'https://other.example.org:8443/app' },
+]
+
+test('findDeepLinkInArgv picks the fluxer:// argument', () => {
+  assert.equal(findDeepLinkInArgv(['/usr/bin/fluxer', '--flag', 'FLUXER://invite/x']), 'FLUXER://invite/x')
+  assert.equal(findDeepLinkInArgv(['/usr/bin/fluxer', 'https://chat.example.com']), null)
+  assert.equal(findDeepLinkInArgv(undefined), null)
+})
+
+test('a link naming a saved server goes to that server without its host', () => {
+  assert.deepEqual(resolveDeepLink('fluxer://chat.example.com/invite/abc?x=1#top', profiles, 'b'),
+    { profileId: 'a', url: 'fluxer://invite/abc?x=1#top' })
+  assert.deepEqual(resolveDeepLink('fluxer://OTHER.example.org:8443/channels/1', profiles, 'a'),
+    { profileId: 'b', url: 'fluxer://channels/1' })
+})
+
+test('any other link goes to the visible server unchanged', () => {
+  assert.deepEqual(resolveDeepLink('fluxer://invite/abc', profiles, 'b'), { profileId: 'b', url: 'fluxer://invite/abc' })
+  // Same host name but a different port is not that server
+  assert.equal(resolveDeepLink('fluxer://other.example.org/x', profiles, 'a').profileId, 'a')
+  assert.equal(resolveDeepLink('fluxer://invite/abc', profiles, null), null)
+})
+
+test('malformed and foreign links are rejected', () => {
+  assert.equal(resolveDeepLink('https://chat.example.com/invite/abc', profiles, 'a'), null)
+  assert.equal(resolveDeepLink('not a url', profiles, 'a'), null)
+  assert.equal(resolveDeepLink(`fluxer://invite/${'x'.repeat(2048)}`, profiles, 'a'), null)
+  assert.equal(resolveDeepLink(42, profiles, 'a'), null)
+})
@@ -0,0 +1,22 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { sanitizeSourceOptions } = require('../lib/desktop-sources')
+
+const DEFAULT = { types: ['screen', 'window'], thumbnailSize: { width: 320, height: 180 }, fetchWindowIcons: false }
+
+test('no options, and the older bare types array, still work', () => {
+  assert.deepEqual(sanitizeSourceOptions(undefined), DEFAULT)
+  assert.deepEqual(sanitizeSourceOptions(['window', 'window']), { ...DEFAULT, types: ['window'] })
+})
+
+test('thumbnail sizes are clamped and 0×0 is allowed', () => {
+  const opts = sanitizeSourceOptions({ types: ['screen'], thumbnailSize: { width: 5000, height: -1 }, fetchWindowIcons: true })
+  assert.deepEqual(opts, { types: ['screen'], thumbnailSize: { width: 1920, height: 0 }, fetchWindowIcons: true })
+  assert.deepEqual(sanitizeSourceOptions({ thumbnailSize: { width: 0, height: 0 } }).thumbnailSize, { width: 0, height: 0 })
+  assert.deepEqual(sanitizeSourceOptions({ thumbnailSize: { width: 'big' } }).thumbnailSize, { width: 320, height: 180 })
+})
+
+test('unknown types fall back to both', () => {
+  assert.deepEqual(sanitizeSourceOptions({ types: ['region', 'tab'] }).types, ['screen', 'window'])
+  assert.equal(sanitizeSourceOptions({ fetchWindowIcons: 'yes' }).fetchWindowIcons, false)
+})
@@ -0,0 +1,75 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { parseKeybindOptions, keybindsOverlap, keybindToOptions, formatKeybind } = require('../lib/keybinds')
+
+const bind = options => parseKeybindOptions({ id: 'x', ...options })
+
+test('parseKeybindOptions accepts each kind of trigger', () => {
+  assert.equal(bind({ keycode: 0 }).keycode, 0)
+  assert.deepEqual(bind({ keycodes: [45, 44, 45] }).keycodes, [44, 45])
+  const seq = bind({ sequence: [100, { keycode: 2, ctrl: true }], sequenceTimeout: 60_000 })
+  assert.deepEqual(seq.steps.map(s => [s.keycode, s.modifiers.ctrl]), [[100, false], [2, true]])
+  assert.equal(seq.sequenceTimeout, 5000)
+  assert.equal(bind({ mouseButton: 16, shift: true }).modifiers.shift, true)
+  assert.equal(bind({ wheel: 'left' }).wheel, 'left')
+})
+
+test('parseKeybindOptions rejects malformed options', () => {
+  assert.equal(parseKeybindOptions({ keycode: 30 }), null)
+  assert.equal(parseKeybindOptions({ id: 'x'.repeat(129), keycode: 30 }), null)
+  assert.equal(bind({}), null)
+  assert.equal(bind({ keycodes: [30, 30] }), null)
+  assert.equal(bind({ keycodes: [1, 2, 3, 4, 5] }), null)
+  assert.equal(bind({ sequence: [30, 'a'] }), null)
+  assert.equal(bind({ mouseButton: 17 }), null)
+  assert.equal(bind({ wheel: 'sideways' }), null)
+  assert.equal(bind({ keycode: 0x10000 }), null)
+})
+
+test('binds on the same input with the same modifiers overlap', () => {
+  assert.equal(keybindsOverlap(bind({ keycode: 30, ctrl: true }), bind({ keycode: 30, ctrl: true })), true)
+  assert.equal(keybindsOverlap(bind({ keycode: 30, ctrl: true }), bind({ keycode: 30 })), false)
+  assert.equal(keybindsOverlap(bind({ keycode: 30 }), bind({ keycode: 31 })), false)
+  assert.equal(keybindsOverlap(bind({ keycodes: [44, 45] }), bind({ keycodes: [45, 44] })), true)
+  assert.equal(keybindsOverlap(bind({ keycodes: [44, 45] }), bind({ keycode: 44 })), false)
+  assert.equal(keybindsOverlap(bind({ mouseButton: 4 }), bind({ mouseButton: 4 })), true)
+  assert.equal(keybindsOverlap(bind({ wheel: 'up' }), bind({ wheel: 'down' })), false)
+})
+
+test('ignoreExtraModifiers overlaps any superset of its modifiers', () => {
+  const loose = bind({ keycode: 30, ctrl: true, ignoreExtraModifiers: true })
+  assert.equal(keybindsOverlap(loose, bind({ keycode: 30, ctrl: true, shift: true })), true)
+  assert.equal(keybindsOverlap(bind({ keycode: 30, ctrl: true, shift: true }), loose), true)
+  assert.equal(keybindsOverlap(loose, bind({ keycode: 30, shift: true })), false)
+  assert.equal(keybindsOverlap(loose, bind({ keycode: 30, alt: true, ignoreExtraModifiers: true })), true)
+})
+
+test('sequences overlap only identical sequences', () => {
+  const seq = bind({ sequence: [100, 2] })
+  assert.equal(keybindsOverlap(seq, bind({ sequence: [100, 2] })), true)
+  assert.equal(keybindsOverlap(seq, bind({ sequence: [100, 3] })), false)
+  assert.equal(keybindsOverlap(seq, bind({ sequence: [100, 2, 3] })), false)
+  assert.equal(keybindsOverlap(seq, bind({ keycode: 2 })), false)
+})
+
+test('keybindToOptions round-trips through parseKeybindOptions', () => {
+  for (const options of [
+    { keycode: 30, ctrl: true, ignoreExtraModifiers: true },
+    { keycodes: [44, 45], alt: true },
+    { sequence: [{ keycode: 100, shift: true }, 2], sequenceTimeout: 800 },
+    { mouseButton: 5, meta: true },
+    { wheel: 'down' },
+  ]) {
+    const kb = bind(options)
+    assert.deepEqual(bind(keybindToOptions(kb)), kb)
+  }
+})
+
+test('formatKeybind describes every kind of trigger', () => {
+  const keyName = code => ({ 2: '1', 44: 'Z', 45: 'X', 100: 'F13' })[code]
+  assert.equal(formatKeybind(bind({ keycode: 100, ctrl: true, shift: true }), keyName), 'Ctrl + Shift + F13')
+  assert.equal(formatKeybind(bind({ keycodes: [45, 44] }), keyName), 'Z + X')
+  assert.equal(formatKeybind(bind({ sequence: [{ keycode: 100, alt: true }, 2] }), keyName), 'Alt + F13, then 1')
+  assert.equal(formatKeybind(bind({ mouseButton: 4, meta: true }), keyName), 'Meta + Mouse 4')
+  assert.equal(formatKeybind(bind({ wheel: 'up' }), keyName), 'Wheel Up')
+})
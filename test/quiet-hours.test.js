@@ -0,0 +1,43 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { sanitizeQuietHourRanges, isInQuietHours } = require('../lib/quiet-hours')
+
+// 5 January 2026 is a Monday (day 1); times are local
+const at = (day, hh, mm = 0) => new Date(2026, 0, 4 + day, hh, mm)
+
+test('sanitizeQuietHourRanges keeps only well-formed ranges', () => {
+  assert.deepEqual(sanitizeQuietHourRanges([
+    { days: [5, 1, 1, 9, 2.5], start: '22:00', end: '07:00' },
+    { days: [], start: '22:00', end: '07:00' },
+    { days: [0], start: '24:00', end: '07:00' },
+    { days: [0], start: '9:00', end: '17:00' },
+    null,
+  ]), [{ days: [1, 5], start: '22:00', end: '07:00' }])
+  assert.deepEqual(sanitizeQuietHourRanges('22:00-07:00'), [])
+  assert.equal(sanitizeQuietHourRanges(Array(20).fill({ days: [0], start: '01:00', end: '02:00' })).length, 14)
+})
+
+test('a same-day range covers start up to, not including, end', () => {
+  const qh = { enabled: true, ranges: [{ days: [1], start: '09:00', end: '17:00' }] }
+  assert.equal(isInQuietHours(qh, at(1, 8, 59)), false)
+  assert.equal(isInQuietHours(qh, at(1, 9)), true)
+  assert.equal(isInQuietHours(qh, at(1, 17)), false)
+  assert.equal(isInQuietHours(qh, at(2, 10)), false)
+})
+
+test('an overnight range runs into the next morning of the day it starts on', () => {
+  const qh = { enabled: true, ranges: [{ days: [5], start: '22:00', end: '07:00' }] }
+  assert.equal(isInQuietHours(qh, at(5, 23)), true)
+  assert.equal(isInQuietHours(qh, at(6, 6, 59)), true)
+  assert.equal(isInQuietHours(qh, at(6, 7)), false)
+  assert.equal(isInQuietHours(qh, at(6, 23)), false)
+  // Friday morning belongs to Thursday's range, which doesn't exist
+  assert.equal(isInQuietHours(qh, at(5, 6)), false)
+})
+
+test('start equal to end means the whole day, and disabled means never', () => {
+  const range = { days: [0], start: '00:00', end: '00:00' }
+  assert.equal(isInQuietHours({ enabled: true, ranges: [range] }, at(0, 12)), true)
+  assert.equal(isInQuietHours({ enabled: true, ranges: [range] }, at(1, 0)), false)
+  assert.equal(isInQuietHours({ enabled: false, ranges: [range] }, at(0, 12)), false)
+})
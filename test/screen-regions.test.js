@@ -0,0 +1,40 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { withRegionSources, sanitizeRegionRect, getRegionOutputSize } = require('../lib/screen-regions')
+
+const display = { bounds: { x: 1920, y: 0, width: 1280, height: 720 }, scaleFactor: 2 }
+const limits = { maxWidth: 1920, maxHeight: 1080 }
+
+test('withRegionSources adds one region source per screen', () => {
+  const sources = [
+    { id: 'screen:1:0', name: 'Screen 1', thumbnail: 't1', display_id: '7' },
+    { id: 'window:42:0', name: 'Editor', thumbnail: 't2', appIcon: 'i' },
+  ]
+  const all = withRegionSources(sources)
+  assert.deepEqual(all.slice(0, 2), sources)
+  assert.deepEqual(all.slice(2), [
+    { id: 'region:screen:1:0', name: 'Part of Screen 1', thumbnail: 't1', display_id: '7', appIcon: null },
+  ])
+})
+
+test('sanitizeRegionRect clamps to the display and rounds to whole DIPs', () => {
+  assert.deepEqual(sanitizeRegionRect({ x: 10.4, y: 20.6, width: 300, height: 200 }, display),
+    { x: 10, y: 21, width: 300, height: 200 })
+  assert.deepEqual(sanitizeRegionRect({ x: -50, y: 600, width: 5000, height: 5000 }, display),
+    { x: 0, y: 600, width: 1280, height: 120 })
+})
+
+test('sanitizeRegionRect rejects tiny and malformed rectangles', () => {
+  assert.equal(sanitizeRegionRect({ x: 0, y: 0, width: 15, height: 100 }, display), null)
+  assert.equal(sanitizeRegionRect({ x: 1270, y: 0, width: 100, height: 100 }, display), null)
+  assert.equal(sanitizeRegionRect({ x: 'a', y: 0, width: 100, height: 100 }, display), null)
+  assert.equal(sanitizeRegionRect(null, display), null)
+})
+
+test('getRegionOutputSize uses physical pixels within the configured maximum', () => {
+  assert.deepEqual(getRegionOutputSize({ width: 400, height: 300 }, display, limits), { width: 800, height: 600 })
+  // 2560×1440 physical is scaled down to fit 1920×1080
+  assert.deepEqual(getRegionOutputSize({ width: 1280, height: 720 }, display, limits), { width: 1920, height: 1080 })
+  // Odd sizes are rounded to even numbers for video encoders
+  assert.deepEqual(getRegionOutputSize({ width: 101, height: 51 }, { scaleFactor: 1.25 }, limits), { width: 126, height: 64 })
+})
@@ -0,0 +1,66 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const {
+  isValidServerUrl,
+  sanitizeAttachmentHosts,
+  sanitizeProfileName,
+  isServerContentUrl,
+} = require('../lib/server-profiles')
+
+test('isValidServerUrl accepts only http(s) URLs', () => {
+  assert.equal(isValidServerUrl('https://chat.example.com'), true)
+  assert.equal(isValidServerUrl('http://192.168.1.10:8080/app'), true)
+  assert.equal(isValidServerUrl('file:///etc/passwd'), false)
+  assert.equal(isValidServerUrl('javascript:alert(1)'), false)
+  assert.equal(isValidServerUrl('chat.example.com'), false)
+  assert.equal(isValidServerUrl(null), false)
+})
+
+test('sanitizeProfileName strips control characters and caps the length', () => {
+  assert.equal(sanitizeProfileName('  Work\u0000 chat\n ', 'https://a.example'), 'Work chat')
+  assert.equal(sanitizeProfileName('x'.repeat(100), 'https://a.example').length, 64)
+})
+
+test('sanitizeProfileName falls back to the host, then to "Server"', () => {
+  assert.equal(sanitizeProfileName('', 'https://chat.example.com:8443/x'), 'chat.example.com:8443')
+  assert.equal(sanitizeProfileName(undefined, 'not a url'), 'Server')
+})
+
+test('sanitizeAttachmentHosts keeps bare host[:port] entries only', () => {
+  assert.deepEqual(sanitizeAttachmentHosts([
+    'Media.Example.com', 'media.example.com', 'cdn.example.com:8443',
+    'https://evil.example', 'a.example/path', 'user@b.example', '', 42,
+  ]), ['media.example.com', 'cdn.example.com:8443'])
+  assert.equal(sanitizeAttachmentHosts(Array.from({ length: 20 }, (_, i) => `h${i}.example`)).length, 8)
+  assert.deepEqual(sanitizeAttachmentHosts('media.example.com'), [])
+})
+
+test('isServerContentUrl allows the server itself and upgrades to https only', () => {
+  const profile = { url: 'http://chat.example.com:8080', attachmentHosts: [] }
+  assert.equal(isServerContentUrl(profile, 'http://chat.example.com:8080/att/1.png'), true)
+  assert.equal(isServerContentUrl(profile, 'https://chat.example.com:8080/att/1.png'), true)
+  assert.equal(isServerContentUrl({ url: 'https://chat.example.com' }, 'http://chat.example.com/a.png'), false)
+  assert.equal(isServerContentUrl(profile, 'http://chat.example.com/a.png'), false)
+  assert.equal(isServerContentUrl(profile, 'http://user:pw@chat.example.com:8080/a.png'), false)
+  assert.equal(isServerContentUrl(profile, 'file:///etc/passwd'), false)
+})
+
+test('isServerContentUrl never trusts sibling or parent domains', () => {
+  const profile = { url: 'https://chat.example.co.uk' }
+  for (const url of [
+    'https://example.co.uk/a.png',
+    'https://other.co.uk/a.png',
+    'https://media.chat.example.co.uk/a.png',
+    'https://chat.example.co.uk.evil.example/a.png',
+    'https://localhost/a.png',
+    'https://10.0.0.1/a.png',
+  ]) assert.equal(isServerContentUrl(profile, url), false, url)
+})
+
+test('isServerContentUrl allows configured attachment hosts over https', () => {
+  const profile = { url: 'https://chat.example.com', attachmentHosts: ['media.example.net', 'cdn.example.com:8443'] }
+  assert.equal(isServerContentUrl(profile, 'https://media.example.net/a.png'), true)
+  assert.equal(isServerContentUrl(profile, 'https://cdn.example.com:8443/a.png'), true)
+  assert.equal(isServerContentUrl(profile, 'http://media.example.net/a.png'), false)
+  assert.equal(isServerContentUrl(profile, 'https://cdn.example.com/a.png'), false)
+})
@@ -0,0 +1,96 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const crypto = require('crypto')
+const {
+  compareVersions,
+  normalizeRelease,
+  selectUpdateAsset,
+  verifyChecksumSignature,
+  parseChecksumFile,
+} = require('../lib/updates')
+
+const HASH = 'ab'.repeat(32)
+
+test('compareVersions follows semver precedence', () => {
+  assert.equal(compareVersions('1.0.2', '1.0.10'), -1)
+  assert.equal(compareVersions('v2.0.0', '1.9.9'), 1)
+  assert.equal(compareVersions('1.1.0', '1.1.0'), 0)
+  assert.equal(compareVersions('1.1.0-beta.1', '1.1.0'), -1)
+  assert.equal(compareVersions('1.1.0-beta.2', '1.1.0-beta.10'), -1)
+  assert.equal(compareVersions('1.1.0-beta', '1.1.0-beta.1'), -1)
+  assert.equal(compareVersions('1.1.0-1', '1.1.0-alpha'), -1)
+  assert.equal(compareVersions('garbage', '1.0.0'), 0)
+})
+
+test('normalizeRelease reads GitHub and self-hosted feeds', () => {
+  const gh = normalizeRelease({
+    tag_name: 'v1.2.0-beta.1',
+    body: 'notes',
+    assets: [
+      { name: 'Fluxer-1.2.0.AppImage', browser_download_url: 'https://example.com/a' },
+      { name: '../evil', browser_download_url: 'file:///etc/passwd' },
+    ],
+  }, true)
+  assert.equal(gh.version, '1.2.0-beta.1')
+  assert.equal(gh.prerelease, true)
+  assert.deepEqual(gh.assets, [{ name: 'Fluxer-1.2.0.AppImage', url: 'https://example.com/a', sha256: null }])
+
+  const feed = normalizeRelease({
+    version: '1.3.0',
+    assets: [{ name: 'x/Fluxer Setup.exe', url: 'http://updates.lan/s.exe', sha256: HASH.toUpperCase() }],
+  }, false)
+  assert.equal(feed.prerelease, false)
+  assert.deepEqual(feed.assets, [{ name: 'Fluxer Setup.exe', url: 'http://updates.lan/s.exe', sha256: HASH }])
+
+  assert.equal(normalizeRelease({ tag_name: 'v1.0.0', draft: true }, true), null)
+  assert.equal(normalizeRelease({ version: 'latest' }, false), null)
+})
+
+test('selectUpdateAsset picks the artifact this install can apply', () => {
+  const assets = [
+    'Fluxer-1.2.0-arm64.dmg', 'Fluxer-1.2.0-x64.dmg', 'Fluxer Setup 1.2.0.exe',
+    'Fluxer-1.2.0.AppImage', 'fluxer_1.2.0_amd64.deb', 'SHA256SUMS',
+  ].map(name => ({ name, url: `https://example.com/${name}` }))
+  assert.deepEqual(
+    [
+      selectUpdateAsset(assets, { platform: 'win32', arch: 'x64' }),
+      selectUpdateAsset(assets, { platform: 'darwin', arch: 'arm64' }),
+      selectUpdateAsset(assets, { platform: 'linux', arch: 'x64', appImage: '/opt/Fluxer.AppImage' }),
+      selectUpdateAsset(assets, { platform: 'linux', arch: 'x64' }),
+    ].map(a => [a.name, a.kind]),
+    [
+      ['Fluxer Setup 1.2.0.exe', 'nsis'],
+      ['Fluxer-1.2.0-arm64.dmg', 'manual'],
+      ['Fluxer-1.2.0.AppImage', 'appimage'],
+      ['fluxer_1.2.0_amd64.deb', 'manual'],
+    ],
+  )
+  assert.equal(selectUpdateAsset(assets.slice(0, 2), { platform: 'win32', arch: 'x64' }), null)
+})
+
+test('parseChecksumFile finds the artifact in text and binary mode lines', () => {
+  const sums = Buffer.from([
+    `${'cd'.repeat(32)}  Fluxer-1.2.0.AppImage`,
+    `${HASH.toUpperCase()} *dist/Fluxer Setup 1.2.0.exe`,
+    '',
+  ].join('\r\n'))
+  assert.equal(parseChecksumFile(sums, 'Fluxer Setup 1.2.0.exe'), HASH)
+  assert.equal(parseChecksumFile(sums, 'Fluxer-1.2.0.AppImage'), 'cd'.repeat(32))
+  assert.throws(() => parseChecksumFile(sums, 'Fluxer-1.2.0.dmg'), /No checksum listed/)
+  assert.throws(() => parseChecksumFile(Buffer.from(`abc  Fluxer-1.2.0.dmg`), 'Fluxer-1.2.0.dmg'))
+})
+
+test('verifyChecksumSignature accepts raw and base64 signatures from the key only', () => {
+  const sums = Buffer.from(`${HASH}  Fluxer-1.2.0.AppImage\n`)
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519')
+  const pem = publicKey.export({ type: 'spki', format: 'pem' })
+  const sig = crypto.sign(null, sums, privateKey)
+  assert.equal(verifyChecksumSignature(sums, sig, pem), true)
+  assert.equal(verifyChecksumSignature(sums, Buffer.from(sig.toString('base64') + '\n'), pem), true)
+  assert.equal(verifyChecksumSignature(Buffer.from(`${'00'.repeat(32)}  Fluxer-1.2.0.AppImage\n`), sig, pem), false)
+
+  const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+  const rsaPem = rsa.publicKey.export({ type: 'spki', format: 'pem' })
+  assert.equal(verifyChecksumSignature(sums, crypto.sign('sha256', sums, rsa.privateKey), rsaPem), true)
+  assert.equal(verifyChecksumSignature(sums, sig, rsaPem), false)
+})